@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+const { settings } = require('./settings');
+const { createJsonStore } = require('./json-store');
+const { getLatestResult } = require('./result-store');
+
+// How many URLs each API key has submitted today (UTC), so daily quotas
+// survive a restart: { [name]: { date: '2020-06-01', urls: 120 } }
+const usage = createJsonStore('api-usage.json', { description: 'API key usage' });
+
+module.exports = {
+  isAuthEnabled, findApiKey, getApiKeyFromRequest, canAccessJob, canAccessUrl, checkAllowance, getAllowance, recordUsage,
+};
+
+function isAuthEnabled() {
+  return settings.apiKeys.length > 0;
+}
+
+/**
+ * @param {string} key
+ * @returns {object|undefined} The key's settings, see apiKeys in settings.js
+ */
+function findApiKey(key) {
+  const keyHash = hash(key);
+  // Compare hashes, so how long a comparison takes doesn't give a key away
+  return settings.apiKeys.find(apiKey => crypto.timingSafeEqual(hash(apiKey.key), keyHash));
+}
+
+/**
+ * The key sent with a request, as "Authorization: Bearer <key>", an X-API-Key
+ * header, or (for EventSource & <img>, which can't send headers) ?apiKey=
+ * @param {object} request - fastify request
+ * @returns {string|undefined}
+ */
+function getApiKeyFromRequest({ headers, query }) {
+  const bearer = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  return headers['x-api-key'] || (query && query.apiKey) || undefined;
+}
+
+/**
+ * Whether a key can see a job: its own, or any if it's an admin key (or if
+ * there are no keys)
+ * @param {object|null} apiKey
+ * @param {object} job - Or a result, which is owned by its job's key
+ * @returns {boolean}
+ */
+function canAccessJob(apiKey, job) {
+  return !apiKey || Boolean(apiKey.admin) || job.owner === apiKey.name;
+}
+
+/**
+ * Whether a key can see what's known about a BFD (its search entry or
+ * thumbnail versions): only if one of its own jobs has extracted it, unless
+ * it's an admin key
+ * @param {object|null} apiKey
+ * @param {string} url
+ * @returns {boolean}
+ */
+function canAccessUrl(apiKey, url) {
+  return !apiKey || Boolean(apiKey.admin) || Boolean(getLatestResult(url, record => record.owner === apiKey.name));
+}
+
+/**
+ * Check that a key may submit a job
+ * @param {object} apiKey
+ * @param {number} urlCount - URLs in the job
+ * @param {number} activeJobCount - The key's jobs that are queued or running
+ * @returns {{ error: string, allowance: object, retryAfterSeconds?: number }|null} Nothing if it may
+ */
+function checkAllowance(apiKey, urlCount, activeJobCount) {
+  const allowance = getAllowance(apiKey, activeJobCount);
+  const { maxUrlsPerJob, concurrentJobs, dailyUrls } = allowance;
+
+  if (maxUrlsPerJob && urlCount > maxUrlsPerJob) {
+    return { error: `Too many URLs for this API key. Limit = ${maxUrlsPerJob} per job`, allowance };
+  }
+  if (concurrentJobs.limit && concurrentJobs.remaining < 1) {
+    return { error: `Too many jobs in progress for this API key. Limit = ${concurrentJobs.limit}`, allowance };
+  }
+  if (dailyUrls.limit && urlCount > dailyUrls.remaining) {
+    return {
+      error: `Daily quota exceeded for this API key. ${dailyUrls.remaining} of ${dailyUrls.limit} URLs remaining today`,
+      allowance,
+      retryAfterSeconds: Math.ceil((new Date(dailyUrls.resetsAt) - Date.now()) / 1000),
+    };
+  }
+  return null;
+}
+
+/**
+ * What a key can still do. Limits are null if there's no limit
+ * @param {object} apiKey
+ * @param {number} activeJobCount - The key's jobs that are queued or running
+ * @returns {object} { maxUrlsPerJob, concurrentJobs: { limit, remaining }, dailyUrls: { limit, used, remaining, resetsAt } }
+ */
+function getAllowance(apiKey, activeJobCount) {
+  const { maxUrlsPerJob = null, maxConcurrentJobs = null, dailyUrlQuota = null } = apiKey;
+  const used = getUsedToday(apiKey.name);
+
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+
+  return {
+    maxUrlsPerJob,
+    concurrentJobs: {
+      limit: maxConcurrentJobs,
+      remaining: maxConcurrentJobs && Math.max(0, maxConcurrentJobs - activeJobCount),
+    },
+    dailyUrls: {
+      limit: dailyUrlQuota,
+      used,
+      remaining: dailyUrlQuota && Math.max(0, dailyUrlQuota - used),
+      resetsAt: tomorrow.toISOString(),
+    },
+  };
+}
+
+/**
+ * Count URLs submitted with a key towards its daily quota
+ * @param {object} apiKey
+ * @param {number} urlCount
+ */
+function recordUsage(apiKey, urlCount) {
+  const usedToday = getUsedToday(apiKey.name);
+  usage.get()[apiKey.name] = { date: getToday(), urls: usedToday + urlCount };
+  usage.save();
+}
+
+function getUsedToday(name) {
+  const keyUsage = usage.get()[name];
+  return keyUsage && keyUsage.date === getToday() ? keyUsage.urls : 0;
+}
+
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function hash(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
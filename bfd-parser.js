@@ -0,0 +1,160 @@
+const zlib = require('zlib');
+
+const { settings } = require('./settings');
+const { ExtractionError } = require('./errors');
+
+// Reads project metadata straight from a BFD file, without opening it in the
+// app. There's no sample of a real BFD to check this against (the test
+// fixtures are only what the fake editor in test/ opens), so rather than
+// assume one layout this accepts any of the likely encodings: plain JSON,
+// gzipped JSON, or a zip archive containing JSON. The project itself is
+// projectVO, if there is one, or else the first object with transformLabels
+// or projectWidth (e.g. the top level), which is what the app's projectVO
+// holds once the project is open. extract-data.test.js checks that this reads
+// the same metadata as opening the fixtures.
+
+// Don't search forever through unexpected structures
+const maxSearchDepth = 6;
+
+module.exports = { parseBfd, getBfdMetadata };
+
+/**
+ * Decode a BFD file
+ * @param {Buffer} buffer
+ * @returns {object} BFD object, as passed to BFN.ProjectManager.openProject()
+ */
+function parseBfd(buffer) {
+  let json;
+  try {
+    json = decode(buffer).toString('utf8');
+  } catch (err) {
+    throw new ExtractionError('NOT_A_BFD', { reason: err.message });
+  }
+
+  let bfd;
+  try {
+    bfd = JSON.parse(json.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw new ExtractionError('NOT_A_BFD', { reason: 'Not JSON' });
+  }
+  if (!bfd || typeof bfd !== 'object') {
+    throw new ExtractionError('NOT_A_BFD', { reason: 'No BFD object' });
+  }
+  return bfd;
+}
+
+/**
+ * Get the same metadata as opening the BFD in the app would
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {boolean} [options.unicodeText] - Also return unicodeText
+ * @returns {{ projectWidth: number, projectHeight: number, text: string, unicodeText?: string, sectionID: string, version: number, sourceTemplateID: string }}
+ */
+function getBfdMetadata(buffer, { unicodeText: includeUnicodeText = false } = {}) {
+  const bfd = parseBfd(buffer);
+  const projectVO = findProject(bfd, 0);
+  if (!projectVO) {
+    throw new ExtractionError('NOT_A_BFD', { reason: 'No project found in BFD' });
+  }
+
+  // Same as the text extracted from the app, where defaultLabelText stands
+  // in for BFN.FabricManager.isDefaultText()
+  const defaultText = normalizeLabel(settings.defaultLabelText).toLowerCase();
+  const unicodeText = (projectVO.transformLabels || [])
+    .map(label => String(label.labelText || ''))
+    .map(normalizeLabel)
+    .filter(str => str && str.toLowerCase() !== defaultText)
+    .join(' ')
+    .normalize('NFC');
+  const text = unicodeText
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, '')
+    .slice(0, 1000);
+
+  const metadata = {
+    projectWidth: Number(projectVO.projectWidth) || undefined,
+    projectHeight: Number(projectVO.projectHeight) || undefined,
+    text: encodeURIComponent(text),
+    sectionID: projectVO.section || bfd.section,
+    version: parseInt(bfd.version || projectVO.version) || 1,
+    sourceTemplateID: projectVO.sourceTemplateID || bfd.sourceTemplateID || '',
+  };
+  if (includeUnicodeText) metadata.unicodeText = unicodeText;
+  return metadata;
+}
+
+function decode(buffer) {
+  // gzip
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer);
+  }
+  // zip (PK\x03\x04)
+  if (buffer.readUInt32LE(0) === 0x04034b50) {
+    return readJsonFromZip(buffer);
+  }
+  return buffer;
+}
+
+/**
+ * Get the first JSON file (or failing that, the first file) in a zip archive
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function readJsonFromZip(buffer) {
+  // End of central directory record is at the end, before an optional comment
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Invalid zip file');
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  for (let index = 0; index < entryCount; index++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid zip file');
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.push({
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42),
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  const files = entries.filter(({ name }) => !name.endsWith('/'));
+  const entry = files.find(({ name }) => /\.json$/i.test(name)) || files[0];
+  if (!entry) throw new Error('Empty zip file');
+
+  const { localHeaderOffset, compressedSize, method } = entry;
+  const dataOffset = localHeaderOffset + 30
+    + buffer.readUInt16LE(localHeaderOffset + 26)
+    + buffer.readUInt16LE(localHeaderOffset + 28);
+  const data = buffer.slice(dataOffset, dataOffset + compressedSize);
+  switch (method) {
+    case 0: return data;
+    case 8: return zlib.inflateRawSync(data);
+    default: throw new Error(`Unsupported zip compression method ${method}`);
+  }
+}
+
+function findProject(object, depth) {
+  if (!object || typeof object !== 'object' || depth > maxSearchDepth) return;
+  if (object.projectVO && typeof object.projectVO === 'object') return object.projectVO;
+  if (Array.isArray(object.transformLabels) || object.projectWidth !== undefined) return object;
+
+  const children = Array.isArray(object) ? object : Object.values(object);
+  for (const child of children) {
+    const project = findProject(child, depth + 1);
+    if (project) return project;
+  }
+}
+
+function normalizeLabel(str) {
+  return str.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,99 @@
+const { settings } = require('./settings');
+const { getLocalFilePath } = require('./local-files');
+
+// Thumbnails generated before versioning, e.g. template.bfd_thumb.png, can be
+// passed instead of their BFD, to keep the thumbnail's transparency
+const thumbnailPathPattern = /\.bfd_thumb\.(jpg|png)$/;
+
+// Why an input was dropped
+const rejectionReasons = {
+  INVALID_URL: 'Not a valid absolute URL',
+  UNSUPPORTED_PROTOCOL: 'Only http and https URLs can be extracted',
+  HOST_NOT_ALLOWED: 'Host is not in allowedHosts',
+  LOCAL_FILE_NOT_ALLOWED: 'BFDs on the server\'s disk can only be passed as paths, or uploaded',
+  NOT_A_BFD_URL: 'Not a .bfd file, or a .bfd_thumb.jpg or .bfd_thumb.png thumbnail',
+  DUPLICATE: 'Same BFD as an earlier URL',
+};
+
+const allowedHosts = getAllowedHosts();
+
+module.exports = { parseBfdUrls, parseBfdUrl, isAllowedHost, rejectionReasons };
+
+/**
+ * Parse the URLs passed for a job, dropping duplicates and any that can't be
+ * extracted
+ * @param {string[]} inputs - BFD URLs, or thumbnail URLs
+ * @param {object} [options]
+ * @param {string[]} [options.localUrls] - The only inputs that can be local BFD URLs (see local-files.js), if not all of them
+ * @returns {{ urls: { url: string, isThumbTransparent?: boolean }[], rejectedUrls: { url: string, code: string, reason: string }[] }}
+ */
+function parseBfdUrls(inputs, { localUrls } = {}) {
+  const urls = [];
+  const rejectedUrls = [];
+  inputs.forEach((input) => {
+    const parsed = parseBfdUrl(input);
+    let code = parsed.code;
+    if (!code && localUrls && !localUrls.includes(input) && getLocalFilePath(parsed.url)) code = 'LOCAL_FILE_NOT_ALLOWED';
+    if (!code && urls.some(({ url }) => url === parsed.url)) code = 'DUPLICATE';
+
+    if (code) {
+      rejectedUrls.push({ url: input, code, reason: rejectionReasons[code] });
+    } else {
+      urls.push(parsed);
+    }
+  });
+  return { urls, rejectedUrls };
+}
+
+/**
+ * Parse a BFD URL, or a thumbnail URL (converted to its BFD's URL). Query
+ * strings are kept (e.g. for signed URLs), but not fragments, which are never
+ * sent to the server. A thumbnail's query string is dropped, as it can't apply
+ * to the BFD
+ * @param {string} input
+ * @returns {{ url: string, isThumbTransparent?: boolean }|{ code: string }} code if it can't be extracted
+ */
+function parseBfdUrl(input) {
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch (err) {
+    return { code: 'INVALID_URL' };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return { code: 'UNSUPPORTED_PROTOCOL' };
+  // Local BFDs are never downloaded, see local-files.js
+  if (!isAllowedHost(url) && !getLocalFilePath(url.href)) return { code: 'HOST_NOT_ALLOWED' };
+
+  url.hash = '';
+  if (url.pathname.endsWith('.bfd')) return { url: url.href };
+
+  const thumbMatch = url.pathname.match(thumbnailPathPattern);
+  if (!thumbMatch) return { code: 'NOT_A_BFD_URL' };
+
+  url.pathname = url.pathname.replace(thumbMatch[0], '.bfd');
+  url.search = '';
+  return { url: url.href, isThumbTransparent: thumbMatch[1] === 'png' };
+}
+
+/**
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isAllowedHost({ host, hostname }) {
+  return allowedHosts.some((allowedHost) => {
+    if (allowedHost === '*') return true;
+    if (allowedHost.startsWith('*.')) return hostname.endsWith(allowedHost.slice(1));
+    return allowedHost === hostname || allowedHost === host;
+  });
+}
+
+// From the allowedHosts setting, or else the app's domain & its subdomains
+// (e.g. befunky.com and *.befunky.com for www.befunky.com)
+function getAllowedHosts() {
+  if (settings.allowedHosts.trim()) {
+    return settings.allowedHosts.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  }
+  const domain = settings.domain.toLowerCase().replace(/^www\./, '');
+  return [domain, `*.${domain}`];
+}
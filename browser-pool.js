@@ -0,0 +1,193 @@
+const { logger, toLogFunction } = require('./logger');
+
+// A long-lived pool of Chrome instances, each with the app already open and
+// ready for projects. Instances are relaunched after opening a number of
+// projects, or if they use too much memory, to keep them from slowing down,
+// and automatically if they crash.
+
+module.exports = { createBrowserPool };
+
+/**
+ * @param {object} options
+ * @param {number} options.size - How many Chrome instances to run
+ * @param {number} options.recycleAfterProjects - Relaunch an instance after opening this many projects
+ * @param {number} options.maxHeapSizeMB - Relaunch an instance if the app's JS heap grows larger than this
+ * @param {function} options.launchPage - async (log) => { browser, context, page }
+ * @param {function} options.resetPage - async (page) => {}, reloads the app
+ */
+function createBrowserPool({ size, recycleAfterProjects, maxHeapSizeMB, launchPage, resetPage }) {
+  const workers = [];
+  for (let index = 0; index < size; index++) {
+    workers.push({
+      id: `chrome-${index + 1}`,
+      browser: null,
+      context: null,
+      page: null,
+      launching: null,
+      projectsOpened: 0,
+      // Incremented whenever the app is reloaded or Chrome is relaunched, so
+      // anything running in the old page can tell why it failed
+      generation: 0,
+      // Replaced with the log of whichever job is using the instance
+      log: toLogFunction(logger.child({ instanceID: `chrome-${index + 1}` })),
+    });
+  }
+
+  return {
+    warmUp,
+    forEachWorker,
+    afterProject,
+    reset,
+    recycle,
+    close,
+    countRunning,
+    isIdle,
+  };
+
+  /**
+   * Launch every Chrome instance ahead of time
+   */
+  async function warmUp() {
+    await Promise.all(workers.map(worker => ensureReady(worker).catch((err) => {
+      worker.log('Unable to launch Chrome', err.message);
+    })));
+  }
+
+  /**
+   * Run a callback for each Chrome instance, once it's ready. If an instance
+   * can't be launched, the others carry on without it.
+   * @param {function} callback - async (worker) => {}
+   * @returns {Promise<number>} How many instances were used
+   */
+  async function forEachWorker(callback) {
+    let launchError;
+    let instancesUsed = 0;
+
+    await Promise.all(workers.map(async (worker) => {
+      try {
+        await ensureReady(worker);
+      } catch (err) {
+        launchError = err;
+        worker.log('Unable to launch Chrome', err.message);
+        return;
+      }
+      instancesUsed++;
+      await callback(worker);
+    }));
+
+    if (!instancesUsed) throw launchError;
+    return instancesUsed;
+  }
+
+  async function ensureReady(worker) {
+    if (worker.page) return;
+    if (!worker.launching) {
+      worker.launching = launchPage((...args) => worker.log(...args))
+        .then(({ browser, context, page }) => {
+          Object.assign(worker, { browser, context, page, projectsOpened: 0 });
+
+          // Relaunch Chrome if it dies
+          const onLost = (reason) => {
+            if (worker.page !== page) return;
+            worker.log(`Chrome instance lost (${reason}), relaunching...`);
+            recycle(worker)
+              .then(() => ensureReady(worker))
+              .catch(err => worker.log('Unable to relaunch Chrome', err.message));
+          };
+          page.on('crash', () => onLost('page crashed'));
+          page.on('close', () => onLost('page closed'));
+          browser.on('disconnected', () => onLost('browser disconnected'));
+        })
+        .finally(() => {
+          worker.launching = null;
+        });
+    }
+    await worker.launching;
+  }
+
+  /**
+   * Call once a worker has finished with a project. Relaunches its Chrome
+   * instance if it's time for a fresh one.
+   * @param {object} worker
+   */
+  async function afterProject(worker) {
+    worker.projectsOpened++;
+
+    if (worker.projectsOpened >= recycleAfterProjects) {
+      worker.log(`Relaunching Chrome after ${worker.projectsOpened} projects`);
+      await recycle(worker);
+    } else {
+      const heapSizeMB = await getHeapSizeMB(worker.page);
+      if (heapSizeMB > maxHeapSizeMB) {
+        worker.log(`Relaunching Chrome as heap has grown to ${Math.round(heapSizeMB)} MB`);
+        await recycle(worker);
+      }
+    }
+
+    await ensureReady(worker);
+  }
+
+  /**
+   * Get a worker back to a clean state after a failure, by reloading the app,
+   * or relaunching Chrome if that doesn't work
+   * @param {object} worker
+   */
+  async function reset(worker) {
+    if (worker.page) {
+      worker.generation++;
+      try {
+        await resetPage(worker.page);
+        return;
+      } catch (err) {
+        worker.log('Unable to reload app, relaunching Chrome', err.message);
+        await recycle(worker);
+      }
+    }
+    await ensureReady(worker);
+  }
+
+  /**
+   * Close a worker's Chrome instance. It'll be relaunched next time it's needed
+   * @param {object} worker
+   */
+  async function recycle(worker) {
+    const { browser, context } = worker;
+    worker.generation++;
+    Object.assign(worker, { browser: null, context: null, page: null });
+    try {
+      await context.close();
+      await browser.close();
+    } catch (err) { }
+  }
+
+  /**
+   * @returns {number} How many Chrome instances are running
+   */
+  function countRunning() {
+    return workers.filter(worker => worker.page).length;
+  }
+
+  /**
+   * @returns {boolean} Whether no Chrome instance is running or launching
+   */
+  function isIdle() {
+    return workers.every(worker => !worker.page && !worker.launching);
+  }
+
+  async function close() {
+    // Let launches finish, so their instances are closed too
+    await Promise.all(workers.map(async (worker) => {
+      if (worker.launching) await worker.launching.catch(() => { });
+      await recycle(worker);
+    }));
+  }
+}
+
+async function getHeapSizeMB(page) {
+  try {
+    const bytes = await page.evaluate(() => performance.memory.usedJSHeapSize);
+    return bytes / 1024 / 1024;
+  } catch (err) {
+    return 0;
+  }
+}
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+// Extract thumbnails & data from a file of BFD URLs (one per line), or every
+// BFD in a directory, without the server or its job size limit:
+//
+//   node cli <file or directory> [--out manifest.jsonl] [--concurrency 4] [--swap-fonts | --no-swap-fonts] [--retry-failed]
+//
+// Each URL's outcome is appended to the manifest as soon as it's known, in
+// the same form as results/results.jsonl ({ recordedAt, url, status, project }),
+// where it's also stored (so the results folder can't be shared with a
+// running server; set BFD_RESULTS_FOLDER to use another one).
+// Running the same command again resumes from the manifest: URLs that were
+// opened are skipped, as are those that failed (missing or unopened) unless
+// --retry-failed is passed, and fontSwap ones (projects with missing fonts)
+// unless they have no thumbnail yet and fonts are being swapped.
+
+const usage = `Usage: node cli <file or directory> [options]
+
+  <file>                 BFD (or .bfd_thumb.jpg/png) URLs, one per line. Blank lines and lines starting with # are ignored
+  <directory>            Every .bfd file in it, and its subdirectories
+
+Options:
+  --out <file>           Manifest to write results to, and resume from. Default: <file or directory>.manifest.jsonl
+  --concurrency <n>      How many Chrome instances to run. Default: maxChromeInstances
+  --swap-fonts           Swap missing fonts (--no-swap-fonts to skip their thumbnails). Default: swapFonts
+  --retry-failed         Try missing & unopened URLs in the manifest again
+  --help`;
+
+// Outcomes that aren't attempted again when resuming
+const finishedStatuses = ['opened', 'fontSwap', 'missing', 'unopened'];
+const failedStatuses = ['missing', 'unopened'];
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`${err.message}\n\n${usage}`);
+  process.exit(1);
+}
+if (options.help) {
+  console.log(usage);
+  process.exit(0);
+}
+
+// BFDs in a directory are extracted as local files (see local-files.js), so
+// the directory has to be set before the settings are loaded
+const isDirectory = fs.statSync(options.input).isDirectory();
+if (isDirectory) process.env.BFD_LOCAL_BFD_FOLDER = options.input;
+
+const { settings } = require('./settings');
+const { extractData, launchPage, resetPage } = require('./extract-data');
+const { createBrowserPool } = require('./browser-pool');
+const { getThumbnailStorage } = require('./thumbnail-storage');
+const { getLocalFileUrl } = require('./local-files');
+const { parseBfdUrls } = require('./bfd-urls');
+const { flushJsonStores } = require('./json-store');
+const { storeResult } = require('./result-store');
+const { lockResultsFolder } = require('./results-lock');
+const { logger, toLogFunction } = require('./logger');
+
+try {
+  lockResultsFolder('a CLI run');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// Ctrl+C makes run() finish early, so this also happens after it
+run().then(exit, (err) => {
+  logger.error({ err }, 'Extraction failed');
+  exit(1);
+});
+
+// Write the result & text indexes first, as their saves are batched up
+function exit(exitCode) {
+  flushJsonStores();
+  process.exit(exitCode);
+}
+
+async function run() {
+  const {
+    input, out = `${input.replace(/[\\/]+$/, '')}.manifest.jsonl`, concurrency = settings.maxChromeInstances,
+    swapFonts = settings.swapFonts, retryFailed = false,
+  } = options;
+
+  const { urls, rejectedUrls } = parseBfdUrls(isDirectory ? listBfdUrls(input) : readUrlFile(input));
+  rejectedUrls.forEach(({ url, reason }) => console.error(`Skipping ${url}: ${reason}`));
+
+  // Resume from an earlier run
+  const previousOutcomes = readManifest(out);
+  const urlsToProcess = urls.filter(({ url }) => {
+    const { status, thumbURL } = previousOutcomes.get(url) || {};
+    if (!finishedStatuses.includes(status)) return true;
+    if (failedStatuses.includes(status)) return retryFailed;
+    return status === 'fontSwap' && swapFonts && !thumbURL;
+  });
+  const skippedCount = urls.length - urlsToProcess.length;
+  const poolSize = Math.min(concurrency, urlsToProcess.length);
+  console.log(`Extracting ${urlsToProcess.length} BFD(s) with ${poolSize} Chrome instance(s)`
+    + (skippedCount ? `, skipping ${skippedCount} already in ${out}` : ''));
+  if (!urlsToProcess.length) return 0;
+
+  const pool = createBrowserPool({
+    size: poolSize,
+    recycleAfterProjects: settings.recycleChromeAfterProjects,
+    maxHeapSizeMB: settings.maxChromeHeapSizeMB,
+    launchPage,
+    resetPage,
+  });
+
+  // Ctrl+C once to finish the projects in progress, twice to abandon them,
+  // and again to exit straight away. The manifest has every outcome so far
+  const forceTerminate = {};
+  let interrupts = 0;
+  process.on('SIGINT', () => {
+    interrupts++;
+    if (interrupts === 1) {
+      console.error('Finishing the projects in progress. Press Ctrl+C again to stop now');
+      forceTerminate.cancel();
+    } else if (interrupts === 2) {
+      console.error('Abandoning the projects in progress. Press Ctrl+C again to exit now');
+      forceTerminate.exit();
+    } else {
+      exit(130);
+    }
+  });
+
+  const counts = {};
+  const onProgress = (url, status, details) => {
+    if (!finishedStatuses.includes(status)) return;
+    // Not attempted, or abandoned, so left for the next run
+    if (status === 'unopened' && (interrupts > 1 || details.error.code === 'CANCELLED')) return;
+
+    const { index, ...project } = details;
+    const record = { recordedAt: new Date().toISOString(), url, status, project };
+    fs.appendFileSync(out, JSON.stringify(record) + '\n');
+    storeResult(url, null, status, project);
+    counts[status] = (counts[status] || 0) + 1;
+  };
+
+  const { result } = await extractData(urlsToProcess, {
+    pool,
+    storage: getThumbnailStorage(),
+    getLog: instanceID => toLogFunction(logger.child({ instanceID })),
+    onProgress,
+    forceTerminate,
+    swapFonts,
+  }).finally(() => pool.close());
+
+  console.log(result);
+  console.log(finishedStatuses.map(status => `${status}: ${counts[status] || 0}`).join(', '));
+  return failedStatuses.some(status => counts[status]) ? 2 : 0;
+}
+
+/**
+ * @param {string[]} args - Command line arguments, after the script
+ * @returns {object} { input, out, concurrency, swapFonts, retryFailed, help }
+ */
+function parseArgs(args) {
+  const parsed = {};
+  const takeValue = (name, inlineValue) => {
+    const value = inlineValue !== undefined ? inlineValue : args.shift();
+    if (value === undefined || value.startsWith('--')) throw new Error(`${name} needs a value`);
+    return value;
+  };
+
+  while (args.length) {
+    const arg = args.shift();
+    const [name, inlineValue] = arg.split(/=(.*)/);
+    if (name === '--out') {
+      parsed.out = takeValue(name, inlineValue);
+    } else if (name === '--concurrency') {
+      parsed.concurrency = Number(takeValue(name, inlineValue));
+      if (!Number.isInteger(parsed.concurrency) || parsed.concurrency < 1) {
+        throw new Error('--concurrency must be a whole number, 1 or more');
+      }
+    } else if (arg === '--swap-fonts' || arg === '--no-swap-fonts') {
+      parsed.swapFonts = arg === '--swap-fonts';
+    } else if (arg === '--retry-failed') {
+      parsed.retryFailed = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (arg.startsWith('-') || parsed.input) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    } else {
+      parsed.input = arg;
+    }
+  }
+
+  if (!parsed.input && !parsed.help) throw new Error('Pass a file of URLs, or a directory of BFDs');
+  if (parsed.input && !fs.existsSync(parsed.input)) throw new Error(`Not found: ${parsed.input}`);
+  return parsed;
+}
+
+function readUrlFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Local URLs of every BFD in a directory (the localBfdFolder), sorted by path
+function listBfdUrls(folder, relativeFolder = '') {
+  const urls = [];
+  fs.readdirSync(path.join(folder, relativeFolder), { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : 1))
+    .forEach((entry) => {
+      const relativePath = path.join(relativeFolder, entry.name);
+      if (entry.isDirectory()) urls.push(...listBfdUrls(folder, relativePath));
+      else if (entry.name.endsWith('.bfd')) urls.push(getLocalFileUrl(relativePath));
+    });
+  return urls.filter(Boolean);
+}
+
+/**
+ * @param {string} manifestPath
+ * @returns {Map<string, { status: string, thumbURL?: string }>} Latest outcome of each URL
+ */
+function readManifest(manifestPath) {
+  const outcomes = new Map();
+  let lines = [];
+  try {
+    lines = fs.readFileSync(manifestPath, 'utf8').split('\n');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  lines.forEach((line) => {
+    try {
+      const { url, status, project = {} } = JSON.parse(line);
+      outcomes.set(url, { status, thumbURL: project.thumbURL });
+    } catch (err) {
+      // Blank line, or the last line was only partially written
+    }
+  });
+  return outcomes;
+}
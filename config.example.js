@@ -0,0 +1,92 @@
+// Copy to config.js. Any of these can also be set with an environment
+// variable, e.g. BFD_MAX_CHROME_INSTANCES=5. See settings.js for defaults.
+module.exports = {
+  // App to open BFDs in (required)
+  domain: 'www.befunky.com',
+  createURL: 'https://www.befunky.com/create/',
+
+  // Hosts that BFDs can be extracted from, comma separated, e.g.
+  // 'cdn.example.com, *.example.org'. Defaults to domain & its subdomains. * for any
+  // allowedHosts: '',
+
+  // BFDs on the server's disk that can be extracted by path. Disabled if empty
+  // localBfdFolder: '',
+
+  // Where jobs, results, thumbnails & uploads are stored, and job logs
+  // resultsFolder: 'results',
+  // logsFolder: 'logs',
+
+  // Server
+  // port: 3000,
+  // serverTimeoutMs: 1000 * 60 * 5,
+  // logLevel: 'info',
+
+  // Chrome
+  // useGPU: true,
+  // isHeadless: true,
+  // isDebug: false,
+  // maxChromeInstances: 3,
+  // recycleChromeAfterProjects: 50,
+  // maxChromeHeapSizeMB: 1024,
+
+  // Jobs
+  // maxBatchSize: 75,
+  // metadataConcurrency: 8,
+  // defaultLabelText: 'Double-click to edit',
+
+  // Jobs & projects (can be overridden per request)
+  // batchTimeoutMs: 1000 * 60 * 4.5,
+  // swapFonts: true,
+  // thumbnailSize: 720,
+  // keepThumbnailVersions: 3,
+  // projectTimeoutMs: 1000 * 20,
+  // maxProjectAttempts: 2,
+  // unicodeText: false,
+
+  // Retention: files are deleted once they're older than <area>MaxAgeDays, and
+  // the oldest once there are more than <area>MaxCount or they total more than
+  // <area>MaxSizeMB. 0 for no limit
+  // retentionSweepIntervalMinutes: 60,
+  // thumbnailMaxAgeDays: 0,
+  // thumbnailMaxCount: 0,
+  // thumbnailMaxSizeMB: 0,
+  // logMaxAgeDays: 30,
+  // logMaxCount: 0,
+  // logMaxSizeMB: 0,
+  // chromeCacheMaxAgeDays: 0,
+  // chromeCacheMaxCount: 0,
+  // chromeCacheMaxSizeMB: 1024,
+  // uploadMaxAgeDays: 7,
+  // uploadMaxCount: 0,
+  // uploadMaxSizeMB: 0,
+
+  // Signs webhook payloads. Callbacks are disabled without it
+  // webhookSecret: '',
+  // Whether callbacks can go to loopback & private network addresses
+  // allowPrivateCallbacks: false,
+
+  // Keys that callers must send to use the API. Anyone can use it if empty.
+  // Limits are optional (no limit if left out)
+  // apiKeys: [
+  //   {
+  //     name: 'web-team',
+  //     key: 'a long random string',
+  //     maxUrlsPerJob: 100,
+  //     maxConcurrentJobs: 2, // Queued or running
+  //     dailyUrlQuota: 5000, // URLs submitted per day (UTC)
+  //     admin: false, // Can see every job and manage thumbnails & storage
+  //   },
+  // ],
+
+  // Where thumbnails are kept: local (results/thumbnails) or s3. For an
+  // S3-compatible service such as MinIO, set s3Endpoint and s3ForcePathStyle
+  // thumbnailStorage: 'local',
+  // s3Bucket: '',
+  // s3Prefix: 'thumbnails/',
+  // s3Region: 'us-east-1',
+  // s3Endpoint: '',
+  // s3ForcePathStyle: false,
+  // s3AccessKeyId: '',
+  // s3SecretAccessKey: '',
+  // s3PublicUrl: '',
+};
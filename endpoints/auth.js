@@ -0,0 +1,31 @@
+const { isAuthEnabled, findApiKey, getApiKeyFromRequest } = require('../api-keys');
+
+module.exports = function addAuthentication(fastify) {
+    // Settings of the API key the request was made with (null if there are no keys)
+    fastify.decorateRequest('apiKey', null);
+
+    // Every route needs an API key, once any are configured. Routes with
+    // config: { adminOnly: true } need an admin key
+    fastify.addHook('onRequest', (request, reply, next) => {
+        if (!isAuthEnabled()) return next();
+
+        const key = getApiKeyFromRequest(request);
+        const apiKey = key && findApiKey(key);
+        if (!apiKey) {
+            reply.code(401);
+            reply.header('WWW-Authenticate', 'Bearer');
+            reply.send({ error: key ? 'Invalid API key' : 'API key required' });
+            return;
+        }
+
+        const config = reply.context.config || {};
+        if (config.adminOnly && !apiKey.admin) {
+            reply.code(403);
+            reply.send({ error: 'This API key is not allowed to do that' });
+            return;
+        }
+
+        request.apiKey = apiKey;
+        next();
+    });
+};
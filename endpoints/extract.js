@@ -1,25 +1,50 @@
 const fs = require('fs');
-const path = require('path');
-const util = require('util');
-const extractData = require('../extract-data');
-const { randomAlphaString } = require('../lib');
-
-// Only allow one batch to run at a time
-let isRunning = false;
-
-const timeoutAfterMs = 1000 * 60 * 4.5;
-const maxChromeInstances = 3;
-const maxBatchSize = 75; // How many BFDs to open per Chrome instance
+const Ajv = require('ajv');
+const { submitJob, getQueuePosition, countActiveJobs, maxJobSize } = require('../job-queue');
+const { checkAllowance, recordUsage } = require('../api-keys');
+const { canSendWebhooks, checkCallbackUrl } = require('../webhooks');
+const { getRequestOptionsSchema } = require('../settings');
+const { getRenditions } = require('../extract-data');
+const { getLocalFileUrl, getLocalFilePath, saveUpload, canUseLocalFiles } = require('../local-files');
+const { parseBfdUrls } = require('../bfd-urls');
+const schemas = require('./schemas');
+
+const maxUploadSizeMB = 100;
 
 module.exports = function addExtractEndpoint(fastify) {
+    fastify.register(require('fastify-multipart'), {
+        limits: { fileSize: maxUploadSizeMB * 1024 * 1024 },
+    });
+
     // Extracting thumbnails and other data from BFDs
+    // Responds immediately with a job ID that can be polled via GET /jobs/:id
     const extractOptions = {
         schema: {
             body: {
                 type: 'object',
-                required: ['urls'],
+                anyOf: [{ required: ['urls'] }, { required: ['paths'] }],
+                additionalProperties: false,
                 properties: {
                     urls: { type: 'array', items: { type: 'string' } },
+                    // BFDs on the server's disk, relative to localBfdFolder
+                    paths: { type: 'array', items: { type: 'string' } },
+                    // metadata: parse BFDs without opening them in Chrome
+                    // (no thumbnails, and only project dimensions, text,
+                    // sectionID, version and sourceTemplateID)
+                    mode: { type: 'string', enum: ['thumbnail', 'metadata'] },
+                    // Notified (POST) as each thumbnail is saved, and with
+                    // the combined results when the job finishes
+                    callbackUrl: { type: 'string', pattern: '^https?://' },
+                    // Override settings for this job, e.g. swapFonts
+                    ...getRequestOptionsSchema(),
+                    // e.g. [{ size: 240, format: 'webp', crop: 'square' }]
+                    renditions: schemas.renditions,
+                    // Save thumbnails as this version, rather than the next
+                    thumbnailVersion: { type: 'integer', minimum: 1 },
+                    // e.g. ['labels', 'fonts'], see getProjectMetadata()
+                    include: schemas.include,
+                    // Open BFDs even if they haven't changed since last time
+                    force: { type: 'boolean' },
                 },
             },
             response: {
@@ -27,227 +52,190 @@ module.exports = function addExtractEndpoint(fastify) {
                     type: 'object',
                     properties: {
                         error: { type: 'string' },
+                        rejectedUrls: schemas.rejectedUrls,
                     },
                 },
-                503: {
+                429: {
                     type: 'object',
                     properties: {
                         error: { type: 'string' },
+                        allowance: schemas.allowance,
                     },
                 },
-                200: {
+                202: {
                     type: 'object',
                     properties: {
-                        result: { type: 'string' },
-                        openedProjects: {
-                            type: 'array',
-                            items: {
-                                type: 'object',
-                                properties: {
-                                    url: { type: 'string' },
-                                    thumbURL: { type: 'string' },
-                                    sizeInKB: { type: 'number' },
-                                    projectWidth: { type: 'number' },
-                                    projectHeight: { type: 'number' },
-                                    text: { type: 'string' },
-                                    sectionID: { type: 'string' },
-                                    version: { type: 'number' },
-                                    sourceTemplateID: { type: 'string' },
-                                },
-                            },
-                        },
-                        missingProjects: {
-                            type: 'array',
-                            items: {
-                                type: 'object',
-                                properties: {
-                                    url: { type: 'string' },
-                                    error: { type: 'string' },
-                                },
-                            },
-                        },
-                        fontSwapProjects: {
-                            type: 'array',
-                            items: {
-                                type: 'object',
-                                properties: {
-                                    url: { type: 'string' },
-                                    fontsToSwap: {
-                                        type: 'array',
-                                        items: { type: 'string' },
-                                    },
-                                    thumbURL: { type: 'string' },
-                                    sizeInKB: { type: 'number' },
-                                    projectWidth: { type: 'number' },
-                                    projectHeight: { type: 'number' },
-                                    text: { type: 'string' },
-                                    sectionID: { type: 'string' },
-                                    version: { type: 'number' },
-                                    sourceTemplateID: { type: 'string' },
-                                },
-                            },
-                        },
-                        unopenedProjects: {
-                            type: 'array',
-                            items: {
-                                type: 'object',
-                                properties: {
-                                    url: { type: 'string' },
-                                    error: { type: 'string' },
-                                },
-                            },
-                        },
+                        jobID: { type: 'string' },
+                        status: { type: 'string' },
+                        queuePosition: { type: 'number' },
+                        statusURL: { type: 'string' },
+                        // Inputs that were dropped, and why
+                        rejectedUrls: schemas.rejectedUrls,
                     },
                 },
             },
         },
     };
     fastify.post('/extract/', extractOptions, async (request, reply) => {
-        // Limit to one request at a time
-        if (isRunning) {
-            reply.statusCode = 503;
-            reply.send({
-                error: `Already running, please wait.`,
-            });
-            return;
-        }
+        queueJob(request.body, request.apiKey, reply);
+    });
 
-        // Limit amount of URLs processed by a single page (app instance)
-        let { urls } = request.body;
-        if (urls.length > maxChromeInstances * maxBatchSize) {
+    // Extracting thumbnails and other data from uploaded BFDs, as
+    // multipart/form-data. Every .bfd file is extracted. Other fields are the
+    // same as for POST /extract/, with arrays and objects as JSON, e.g.
+    // swapFonts=false, renditions=[{"size":240}]
+    const { anyOf, ...fieldsSchema } = extractOptions.schema.body;
+    const validateFields = new Ajv({ coerceTypes: true, removeAdditional: true, allErrors: true }).compile(fieldsSchema);
+    const uploadOptions = {
+        schema: {
+            response: extractOptions.schema.response,
+        },
+    };
+    fastify.post('/extract/upload', uploadOptions, (request, reply) => {
+        if (!request.isMultipart()) {
             reply.statusCode = 400;
-            reply.send({ error: `Too many URLs. Limit = ${maxChromeInstances * maxBatchSize}` });
+            reply.send({ error: 'Expected multipart/form-data' });
             return;
         }
 
-        isRunning = true;
-
-        // Remove duplicate URLs
-        urls = urls.filter((url, index) => urls.indexOf(url) === index);
-
-        // Convert thumbnail URLs to BFD URLs + isThumbTransparent flag
-        urls = urls.map((bfdOrThumbURL) => {
-            if (bfdOrThumbURL.endsWith('.bfd')) return { url: bfdOrThumbURL };
-
-            const thumbMatch = bfdOrThumbURL.match(/\.bfd_thumb\.(jpg|png)$/);
-            if (!thumbMatch) return false;
-
-            return {
-                url: bfdOrThumbURL.replace(thumbMatch[0], '.bfd'),
-                isThumbTransparent: thumbMatch[1] === 'png',
-            }
-        });
-
-        // Remove invalid data
-        urls = urls.filter(Boolean);
-
-        // Process URLs
-        const thumbnailFolder = path.join(__dirname, '/../results/thumbnails');
-
-        // Divide BFDs up into batches
-        const batches = {};
-        const batchSizes = {};
-        const batchTerminations = {};
-        const batchID = randomAlphaString(3);
-        const batchSize = Math.ceil(urls.length / maxChromeInstances);
-
-        for (let index = 0; index < maxChromeInstances; index++) {
-            const instanceID = `${batchID} ${index + 1} ${randomAlphaString(3)}`;
-            const urlsInBatch = urls.slice(index * batchSize, (index + 1) * batchSize);
-            if (urlsInBatch.length) {
-                batches[instanceID] = urlsInBatch;
-                batchSizes[instanceID] = urlsInBatch.length;
-                batchTerminations[instanceID] = {};
+        const fields = {};
+        const uploads = [];
+        const badFiles = [];
+        const multipart = request.multipart((field, file, fileName) => {
+            if (!fileName.endsWith('.bfd')) {
+                badFiles.push(fileName);
+                file.resume();
+                return;
             }
-        }
-
-        const instanceIDs = Object.keys(batches);
-        console.log(`Starting ${instanceIDs.length} batch(s)`, batchSizes);
-
-        const runBatch = async (instanceID, urlsInBatch, forceTerminate) => {
-            const logPath = path.join(__dirname, `/../logs/${new Date().toISOString()} #${instanceID}.txt`);
-            const logFile = fs.createWriteStream(logPath, { flags: 'a' });
-            const log = (...args) => {
-                // Log to console, and to file
-                console.log(`${instanceID} >`, ...args);
-                logFile.write(util.format.apply(null, args) + '\n');
+            uploads.push(saveUpload(file, fileName));
+        }, async (err) => {
+            const results = await Promise.all(uploads.map(upload => upload.catch(uploadError => uploadError)));
+            const uploadedUrls = results.filter(result => typeof result === 'string');
+
+            // Don't keep files from rejected requests
+            const reject = (error) => {
+                uploadedUrls.forEach(url => fs.unlink(getLocalFilePath(url), () => { }));
+                reply.statusCode = 400;
+                reply.send({ error });
             };
 
-            log('Booting up Chrome instance', instanceID);
-
-            const result = await extractData(urlsInBatch, thumbnailFolder, log, forceTerminate);
-
-            // Already terminated, don't terminate again
-            forceTerminate.exit = () => { };
-
-            return result;
-        }
-
-        // Never wait longer than 1 minute
-        let timedOut = false;
-        const timeout = setTimeout(() => {
-            timedOut = true;
-            // Cleanup all running Chrome instances
-            Object.values(batchTerminations).forEach(termination => termination.exit());
-        }, timeoutAfterMs);
-
-        // Run batches
-        const promises = Object.entries(batches).map(([instanceID, urlsInBatch]) => {
-            return runBatch(instanceID, urlsInBatch, batchTerminations[instanceID]);
-        });
-
-        const startTime = Date.now();
-        const result = await Promise.all(promises).then((allResults) => {
-            const combinedResults = {
-                openedProjects: [].concat(...allResults.map(r => r.openedProjects)),
-                missingProjects: [].concat(...allResults.map(r => r.missingProjects)),
-                fontSwapProjects: [].concat(...allResults.map(r => r.fontSwapProjects)),
-                unopenedProjects: [].concat(...allResults.map(r => r.unopenedProjects)),
-            };
-
-            const totalTime = Date.now() - startTime;
-            const openedLength = combinedResults.openedProjects.length;
-            const perBFD = openedLength ? `(${toSeconds(totalTime / openedLength)}s / BFD)` : '';
-            const resultText = `Generated thumbnails for ${openedLength} / ${urls.length} BFDs in ${toSeconds(totalTime)}s ${perBFD} using ${allResults.length} Chrome instance(s)`;
+            const uploadError = err || results.find(result => result instanceof Error);
+            if (uploadError || badFiles.length) {
+                reject(uploadError ? uploadError.message : `Not a .bfd file: ${badFiles.join(', ')}`);
+                return;
+            }
 
-            combinedResults.result = resultText;
+            if (!validateFields(fields)) {
+                reject(validateFields.errors.map(({ dataPath, message }) => `${dataPath} ${message}`).join(', '));
+                return;
+            }
 
-            return combinedResults;
+            if (!uploadedUrls.length && !fields.urls && !fields.paths) {
+                reject('No BFDs were uploaded');
+                return;
+            }
+            if (!queueJob(fields, request.apiKey, reply, uploadedUrls)) {
+                uploadedUrls.forEach(url => fs.unlink(getLocalFilePath(url), () => { }));
+            }
         });
-
-        clearTimeout(timeout);
-        if (timedOut) {
-            result.result = 'Timed out. ' + result.result;
-        }
-
-        console.log(result.result);
-
-        // Add missing fonts to CSV
-        const fontsCsvPath = path.join(__dirname, '/../results/missing-fonts.csv');
-        let fonts = [];
-        result.fontSwapProjects.forEach(({ fontsToSwap }) => {
-            fonts = [...fonts, ...fontsToSwap];
+        multipart.on('field', (name, value) => {
+            try {
+                fields[name] = /^[[{]/.test(value) ? JSON.parse(value) : value;
+            } catch (err) {
+                fields[name] = value;
+            }
         });
-        if (fonts.length) fs.appendFileSync(fontsCsvPath, fonts.join('\n') + '\n');
-
-        // Add transparency mismatches to CSV
-        // This is when thumb transparency doesn't match project
-        const transparencyCsvPath = path.join(__dirname, '/../results/transparency-mismatches.csv');
-        const transparencyMismatches = []
-        result.openedProjects
-            .forEach((project) => {
-                if (project.transparencyMismatch) {
-                    transparencyMismatches.push(project.thumbURL);
-                }
-                delete project.transparencyMismatch;
-            })
-        if (transparencyMismatches.length) fs.appendFileSync(transparencyCsvPath, transparencyMismatches.join('\n') + '\n');
-
-        reply.send(result);
-        isRunning = false;
     });
 };
 
-function toSeconds(time) {
-    return (time / 1000).toFixed(1);
-}
\ No newline at end of file
+/**
+ * Validate the options for a job, and queue it
+ * @param {object} body - As for POST /extract/
+ * @param {object|null} apiKey - That the job was submitted with
+ * @param {object} reply
+ * @param {string[]} [uploadedUrls] - Local URLs of BFDs uploaded with the request
+ * @returns {object|undefined} The job, or nothing if it was rejected
+ */
+function queueJob(body, apiKey, reply, uploadedUrls = []) {
+    // Limit amount of URLs processed by a single job
+    const { urls = [], paths = [], callbackUrl, ...projectOptions } = body;
+    if (uploadedUrls.length + urls.length + paths.length > maxJobSize) {
+        reply.statusCode = 400;
+        reply.send({ error: `Too many URLs. Limit = ${maxJobSize}` });
+        return;
+    }
+
+    // Each rendition needs its own file name
+    if (projectOptions.renditions) {
+        const names = getRenditions(projectOptions.renditions).map(({ name }) => name);
+        if (names.some((name, index) => names.indexOf(name) !== index)) {
+            reply.statusCode = 400;
+            reply.send({ error: 'Renditions must have unique names' });
+            return;
+        }
+    }
+
+    // Webhooks are signed, so we need a secret to send them
+    if (callbackUrl && !canSendWebhooks()) {
+        reply.statusCode = 400;
+        reply.send({ error: 'Callbacks are disabled. Set webhookSecret in config.js or BFD_WEBHOOK_SECRET' });
+        return;
+    }
+    const callbackUrlProblem = callbackUrl && checkCallbackUrl(callbackUrl);
+    if (callbackUrlProblem) {
+        reply.statusCode = 400;
+        reply.send({ error: callbackUrlProblem });
+        return;
+    }
+
+    // Files on the server's disk
+    if (paths.length && !canUseLocalFiles()) {
+        reply.statusCode = 400;
+        reply.send({ error: 'Local files are disabled. Set localBfdFolder in config.js or BFD_LOCAL_BFD_FOLDER' });
+        return;
+    }
+    const localUrls = paths.map(getLocalFileUrl);
+    const badPath = paths.find((path, index) => !localUrls[index]);
+    if (badPath !== undefined) {
+        reply.statusCode = 400;
+        reply.send({ error: `Not a .bfd file in localBfdFolder: ${badPath}` });
+        return;
+    }
+
+    // Convert thumbnail URLs to BFD URLs + isThumbTransparent flag, and drop
+    // duplicates & URLs that can't be extracted. Local BFDs have to have been
+    // uploaded, or passed as paths (which were checked above)
+    const { urls: bfdUrls, rejectedUrls } = parseBfdUrls([...uploadedUrls, ...urls, ...localUrls], {
+        localUrls: [...uploadedUrls, ...localUrls],
+    });
+    if (!bfdUrls.length) {
+        reply.statusCode = 400;
+        reply.send({ error: 'No valid BFD URLs', rejectedUrls });
+        return;
+    }
+
+    // Limits of the caller's API key
+    if (apiKey) {
+        const exceeded = checkAllowance(apiKey, bfdUrls.length, countActiveJobs(apiKey.name));
+        if (exceeded) {
+            const { retryAfterSeconds, ...response } = exceeded;
+            if (retryAfterSeconds) reply.header('Retry-After', retryAfterSeconds);
+            reply.statusCode = 429;
+            reply.send(response);
+            return;
+        }
+        recordUsage(apiKey, bfdUrls.length);
+    }
+
+    const job = submitJob(bfdUrls, { callbackUrl, projectOptions, owner: apiKey ? apiKey.name : undefined });
+
+    reply.statusCode = 202;
+    reply.send({
+        jobID: job.id,
+        status: job.status,
+        queuePosition: job.status === 'queued' ? getQueuePosition(job) : undefined,
+        statusURL: `/jobs/${job.id}`,
+        rejectedUrls,
+    });
+    return job;
+}
@@ -0,0 +1,212 @@
+const { getJob, getQueuePosition, cancelJob } = require('../job-queue');
+const { readJobLog } = require('../logger');
+const { canAccessJob } = require('../api-keys');
+const schemas = require('./schemas');
+
+// Comment sent periodically to keep idle SSE connections open
+const keepAliveIntervalMs = 1000 * 15;
+
+module.exports = function addJobEndpoints(fastify) {
+    // Polling the status of an extraction job
+    const jobOptions = {
+        schema: {
+            params: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                },
+            },
+            response: {
+                404: schemas.error,
+                200: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        status: { type: 'string' },
+                        queuePosition: { type: 'number' },
+                        createdAt: { type: 'string' },
+                        startedAt: { type: 'string' },
+                        finishedAt: { type: 'string' },
+                        progress: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    url: { type: 'string' },
+                                    status: { type: 'string' },
+                                },
+                            },
+                        },
+                        result: schemas.extractResult,
+                        error: { type: 'string' },
+                    },
+                },
+            },
+        },
+    };
+    fastify.get('/jobs/:id', jobOptions, async (request, reply) => {
+        // Other API keys' jobs are hidden
+        const job = getJob(request.params.id);
+        if (!job || !canAccessJob(request.apiKey, job)) {
+            reply.statusCode = 404;
+            reply.send({ error: 'Job not found' });
+            return;
+        }
+
+        reply.send(describeJob(job));
+    });
+
+    // Cancelling an extraction job. Responds once the job has stopped, with
+    // the results of any projects that were finished
+    const cancelOptions = {
+        schema: {
+            params: jobOptions.schema.params,
+            response: {
+                ...jobOptions.schema.response,
+                409: schemas.error,
+            },
+        },
+    };
+    fastify.delete('/jobs/:id', cancelOptions, async (request, reply) => {
+        const job = getJob(request.params.id);
+        if (!job || !canAccessJob(request.apiKey, job)) {
+            reply.statusCode = 404;
+            reply.send({ error: 'Job not found' });
+            return;
+        }
+        if (job.finishedAt) {
+            reply.statusCode = 409;
+            reply.send({ error: `Job has already finished (${job.status})` });
+            return;
+        }
+
+        await cancelJob(job);
+        reply.send(describeJob(job));
+    });
+
+    // A job's log records, oldest first, e.g. to find out why a BFD failed
+    // with ?url=<BFD URL>. Records are pino's, with jobID, instanceID (the
+    // Chrome instance), and where relevant url, stage and durationMs
+    const logsOptions = {
+        schema: {
+            params: jobOptions.schema.params,
+            querystring: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string' },
+                },
+            },
+            response: {
+                404: schemas.error,
+                200: {
+                    type: 'object',
+                    properties: {
+                        jobID: { type: 'string' },
+                        url: { type: 'string' },
+                        logs: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    time: { type: 'integer' },
+                                    level: { type: 'integer' },
+                                    msg: { type: 'string' },
+                                    instanceID: { type: 'string' },
+                                    url: { type: 'string' },
+                                    stage: { type: 'string' },
+                                    durationMs: { type: 'integer' },
+                                },
+                                additionalProperties: true,
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+    fastify.get('/jobs/:id/logs', logsOptions, async (request, reply) => {
+        const job = getJob(request.params.id);
+        if (!job || !canAccessJob(request.apiKey, job)) {
+            reply.statusCode = 404;
+            reply.send({ error: 'Job not found' });
+            return;
+        }
+
+        const { url } = request.query;
+        reply.send({ jobID: job.id, url, logs: await readJobLog(job.id, { url }) });
+    });
+
+    // Live progress of an extraction job, as Server-Sent Events
+    // Starts with a "snapshot" of the job so far, followed by an event for
+    // each step (preloaded, loaded, fontsSwapped, thumbnailSaved, etc.)
+    const eventsOptions = {
+        schema: {
+            params: jobOptions.schema.params,
+        },
+    };
+    fastify.get('/jobs/:id/events', eventsOptions, async (request, reply) => {
+        const job = getJob(request.params.id);
+        if (!job || !canAccessJob(request.apiKey, job)) {
+            reply.statusCode = 404;
+            reply.send({ error: 'Job not found' });
+            return;
+        }
+
+        // Take over the response from fastify
+        reply.sent = true;
+        const { res } = reply;
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+
+        const send = (event) => {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        send({
+            type: 'snapshot',
+            jobID: job.id,
+            status: job.status,
+            progress: [...job.progress].map(([url, status]) => ({ url, status })),
+        });
+
+        // Nothing else will happen
+        if (job.finishedAt) {
+            res.end();
+            return;
+        }
+
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveIntervalMs);
+        const stop = () => {
+            clearInterval(keepAlive);
+            job.events.removeListener('event', onEvent);
+        };
+        const onEvent = (event) => {
+            send(event);
+            if (event.type === 'finished') {
+                stop();
+                res.end();
+            }
+        };
+
+        job.events.on('event', onEvent);
+        request.req.on('close', stop);
+    });
+};
+
+function describeJob(job) {
+    const { id, status, createdAt, startedAt, finishedAt, result, error } = job;
+    return {
+        id,
+        status,
+        queuePosition: status === 'queued' ? getQueuePosition(job) : undefined,
+        createdAt,
+        startedAt,
+        finishedAt,
+        progress: [...job.progress].map(([url, status]) => ({ url, status })),
+        result,
+        error,
+    };
+}
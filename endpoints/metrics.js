@@ -0,0 +1,11 @@
+const { register, setQueueStats } = require('../metrics');
+const { getQueueStats } = require('../job-queue');
+
+module.exports = function addMetricsEndpoint(fastify) {
+    // Prometheus metrics, in its text format
+    fastify.get('/metrics', async (request, reply) => {
+        setQueueStats(getQueueStats());
+        reply.type(register.contentType);
+        reply.send(await register.metrics());
+    });
+};
@@ -0,0 +1,114 @@
+const { getLatestResult, getResultHistory, exportResults } = require('../result-store');
+const { canAccessJob } = require('../api-keys');
+const schemas = require('./schemas');
+
+const contentTypes = {
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv; charset=utf-8',
+};
+
+// One extraction of a BFD
+const resultRecord = {
+    type: 'object',
+    properties: {
+        recordedAt: { type: 'string' },
+        url: { type: 'string' },
+        jobID: { type: ['string', 'null'] },
+        owner: { type: 'string' },
+        status: { type: 'string' },
+        project: schemas.project,
+    },
+};
+
+module.exports = function addResultEndpoints(fastify) {
+    const urlQuerystring = {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string' },
+        },
+    };
+
+    // Only results of the API key's own jobs are visible, unless it's an admin key
+    const getVisibilityFilter = request => record => canAccessJob(request.apiKey, record);
+
+    // Latest result for a BFD, from any job
+    const resultOptions = {
+        schema: {
+            querystring: urlQuerystring,
+            response: {
+                404: schemas.error,
+                200: resultRecord,
+            },
+        },
+    };
+    fastify.get('/results', resultOptions, async (request, reply) => {
+        const record = getLatestResult(request.query.url, getVisibilityFilter(request));
+        if (!record) {
+            reply.statusCode = 404;
+            reply.send({ error: 'No results for this URL' });
+            return;
+        }
+        reply.send(record);
+    });
+
+    // Every result for a BFD, newest first
+    const historyOptions = {
+        schema: {
+            querystring: {
+                ...urlQuerystring,
+                properties: {
+                    ...urlQuerystring.properties,
+                    limit: { type: 'integer', minimum: 1 },
+                },
+            },
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string' },
+                        history: {
+                            type: 'array',
+                            items: resultRecord,
+                        },
+                    },
+                },
+            },
+        },
+    };
+    fastify.get('/results/history', historyOptions, async (request, reply) => {
+        const { url, limit } = request.query;
+        reply.send({ url, history: getResultHistory(url, getVisibilityFilter(request)).slice(0, limit) });
+    });
+
+    // Every result (or the latest for each BFD), as NDJSON or CSV
+    const exportOptions = {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    format: { type: 'string', enum: Object.keys(contentTypes), default: 'ndjson' },
+                    latest: { type: 'boolean', default: false },
+                    since: { type: 'string', format: 'date-time' },
+                },
+            },
+        },
+    };
+    fastify.get('/results/export', exportOptions, async (request, reply) => {
+        const { format, latest, since } = request.query;
+
+        // Take over the response from fastify, to stream it
+        reply.sent = true;
+        const { res } = reply;
+        res.writeHead(200, {
+            'Content-Type': contentTypes[format],
+            'Content-Disposition': `attachment; filename="results.${format}"`,
+        });
+        exportResults(res, {
+            format,
+            latestOnly: latest,
+            since: since && new Date(since).toISOString(),
+            isVisible: getVisibilityFilter(request),
+        });
+    });
+};
@@ -0,0 +1,231 @@
+// JSON schemas shared by several endpoints
+
+const { errorCodes } = require('../errors');
+const { rejectionReasons } = require('../bfd-urls');
+
+const projectProperties = {
+    url: { type: 'string' },
+    thumbURL: { type: 'string' },
+    thumbnails: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                url: { type: 'string' },
+                // As stored, which the URL may be an encoded form of
+                fileName: { type: 'string' },
+                format: { type: 'string' },
+                width: { type: 'number' },
+                height: { type: 'number' },
+            },
+        },
+    },
+    thumbnailVersion: { type: 'integer' },
+    sizeInKB: { type: 'number' },
+    contentHash: { type: 'string' },
+    cached: { type: 'boolean' },
+    projectWidth: { type: 'number' },
+    projectHeight: { type: 'number' },
+    text: { type: 'string' },
+    unicodeText: { type: 'string' },
+    sectionID: { type: 'string' },
+    version: { type: 'number' },
+    sourceTemplateID: { type: 'string' },
+    // Only what was asked for with include
+    metadata: {
+        type: 'object',
+        properties: {
+            labels: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        unicodeText: { type: 'string' },
+                        fontFamily: { type: 'string' },
+                        fontSize: { type: 'number' },
+                        color: { type: 'string' },
+                        bounds: {
+                            type: 'object',
+                            properties: {
+                                x: { type: 'number' },
+                                y: { type: 'number' },
+                                width: { type: 'number' },
+                                height: { type: 'number' },
+                            },
+                        },
+                    },
+                },
+            },
+            fonts: {
+                type: 'array',
+                items: { type: 'string' },
+            },
+            layerCount: { type: 'number' },
+            imageCount: { type: 'number' },
+            imageURLs: {
+                type: 'array',
+                items: { type: 'string' },
+            },
+            backgroundColor: { type: 'string' },
+            pageCount: { type: 'number' },
+            // Fields that couldn't be found in the project, e.g. labels.fontSize
+            missingFields: {
+                type: 'array',
+                items: { type: 'string' },
+            },
+        },
+    },
+};
+
+// See errors.js
+const projectError = {
+    type: 'object',
+    properties: {
+        code: {
+            type: 'string',
+            enum: Object.keys(errorCodes),
+        },
+        message: { type: 'string' },
+        details: {
+            type: 'object',
+            additionalProperties: true,
+        },
+    },
+};
+
+const failedProject = {
+    type: 'object',
+    properties: {
+        url: { type: 'string' },
+        error: projectError,
+    },
+};
+
+// Combined results of extracting data from a list of BFDs
+const extractResult = {
+    type: 'object',
+    properties: {
+        result: { type: 'string' },
+        openedProjects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: projectProperties,
+            },
+        },
+        missingProjects: {
+            type: 'array',
+            items: failedProject,
+        },
+        fontSwapProjects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    ...projectProperties,
+                    fontsToSwap: {
+                        type: 'array',
+                        items: { type: 'string' },
+                    },
+                },
+            },
+        },
+        unopenedProjects: {
+            type: 'array',
+            items: failedProject,
+        },
+    },
+};
+
+// Any project, whatever its outcome
+const project = {
+    type: 'object',
+    properties: {
+        ...projectProperties,
+        fontsToSwap: {
+            type: 'array',
+            items: { type: 'string' },
+        },
+        error: projectError,
+    },
+};
+
+// Thumbnails to generate for each project
+const renditions = {
+    type: 'array',
+    maxItems: 10,
+    items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', pattern: '^[a-z0-9-]{1,32}$' },
+            size: { type: 'integer', minimum: 16, maximum: 8192 },
+            format: { type: 'string', enum: ['auto', 'jpg', 'png', 'webp'] },
+            crop: { type: 'string', pattern: '^(square|[1-9][0-9]{0,3}:[1-9][0-9]{0,3})$' },
+        },
+    },
+};
+
+// Structured metadata to extract for each project
+const include = {
+    type: 'array',
+    uniqueItems: true,
+    items: {
+        type: 'string',
+        enum: ['labels', 'fonts', 'layers', 'images', 'background', 'pages'],
+    },
+};
+
+// Every rendition of a project's thumbnail
+const { thumbnails } = projectProperties;
+
+const error = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+    },
+};
+
+// URLs dropped from a job, see bfd-urls.js
+const rejectedUrls = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            url: { type: 'string' },
+            code: {
+                type: 'string',
+                enum: Object.keys(rejectionReasons),
+            },
+            reason: { type: 'string' },
+        },
+    },
+};
+
+// What an API key can still submit, see getAllowance(). Limits are null if there's no limit
+const allowance = {
+    type: 'object',
+    properties: {
+        maxUrlsPerJob: { type: ['integer', 'null'] },
+        concurrentJobs: {
+            type: 'object',
+            properties: {
+                limit: { type: ['integer', 'null'] },
+                remaining: { type: ['integer', 'null'] },
+            },
+        },
+        dailyUrls: {
+            type: 'object',
+            properties: {
+                limit: { type: ['integer', 'null'] },
+                used: { type: 'integer' },
+                remaining: { type: ['integer', 'null'] },
+                resetsAt: { type: 'string' },
+            },
+        },
+    },
+};
+
+module.exports = { extractResult, project, projectError, renditions, include, thumbnails, allowance, rejectedUrls, error };
@@ -0,0 +1,45 @@
+const { searchText } = require('../text-index');
+const { canAccessUrl } = require('../api-keys');
+const schemas = require('./schemas');
+
+module.exports = function addSearchEndpoint(fastify) {
+    // Finding BFDs by the text in their labels, e.g. /search?q=happy+birthday
+    const searchOptions = {
+        schema: {
+            querystring: {
+                type: 'object',
+                required: ['q'],
+                properties: {
+                    q: { type: 'string', minLength: 1 },
+                    limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+                },
+            },
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string' },
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    url: { type: 'string' },
+                                    text: { type: 'string' },
+                                    thumbURL: { type: 'string' },
+                                    thumbnails: schemas.thumbnails,
+                                    indexedAt: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+    fastify.get('/search', searchOptions, async (request, reply) => {
+        const { q, limit } = request.query;
+        // Only BFDs the API key has extracted itself, unless it's an admin key
+        reply.send({ query: q, results: searchText(q, limit, url => canAccessUrl(request.apiKey, url)) });
+    });
+};
@@ -0,0 +1,66 @@
+const { getStorageReport } = require('../retention');
+
+// Usage & retention policy of one area (thumbnails, logs, chromeCache or uploads)
+const areaUsage = {
+    type: 'object',
+    properties: {
+        location: { type: 'string' },
+        fileCount: { type: 'integer' },
+        sizeInBytes: { type: 'integer' },
+        oldestAt: { type: ['string', 'null'] },
+        newestAt: { type: ['string', 'null'] },
+        policy: {
+            type: 'object',
+            properties: {
+                maxAgeDays: { type: 'integer' },
+                maxCount: { type: 'integer' },
+                maxSizeMB: { type: 'integer' },
+            },
+        },
+        error: { type: 'string' },
+    },
+};
+
+// Files deleted from one area by the last sweep
+const areaSweep = {
+    type: 'object',
+    properties: {
+        deletedCount: { type: 'integer' },
+        deletedBytes: { type: 'integer' },
+        skipped: { type: 'string' },
+        error: { type: 'string' },
+    },
+};
+
+module.exports = function addStorageEndpoint(fastify) {
+    const storageOptions = {
+        config: { adminOnly: true },
+        schema: {
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
+                        areas: {
+                            type: 'object',
+                            additionalProperties: areaUsage,
+                        },
+                        lastSweep: {
+                            type: ['object', 'null'],
+                            properties: {
+                                startedAt: { type: 'string' },
+                                finishedAt: { type: 'string' },
+                                areas: {
+                                    type: 'object',
+                                    additionalProperties: areaSweep,
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    };
+    fastify.get('/storage', storageOptions, async (request, reply) => {
+        reply.send(await getStorageReport());
+    });
+};
@@ -1,8 +1,156 @@
-const path = require('path');
+const { getVersions, pinVersion, unpinVersion, getCurrentThumbnailFile } = require('../thumbnail-versions');
+const { getThumbnailStorage } = require('../thumbnail-storage');
+const { deleteThumbnail } = require('../retention');
+const { canAccessUrl } = require('../api-keys');
+const schemas = require('./schemas');
+
+// Current version of a thumbnail, e.g. template.bfd_thumb.jpg or
+// template.bfd_thumb_240-square.webp
+const currentThumbnailPattern = /^(.+\.bfd)_thumb(?:_([a-z0-9-]+))?\.(jpg|png|webp)$/;
 
 module.exports = function exposeThumbnailsFolder(fastify) {
-    fastify.register(require('fastify-static'), {
-        root: path.join(__dirname, '/../results/thumbnails'),
-        prefix: '/thumbnails/',
+    const storage = getThumbnailStorage();
+
+    // Thumbnails stored elsewhere are redirected to, see below
+    if (storage.isLocal) {
+        fastify.register(require('fastify-static'), {
+            root: storage.folder,
+            prefix: '/thumbnails/',
+        });
+    }
+
+    // Thumbnails by file name, or the current version of one by its name
+    // without a version (whatever format the current version is in)
+    fastify.get('/thumbnails/:file', async (request, reply) => {
+        const { file } = request.params;
+        const exists = await storage.exists(file);
+        const match = !exists && file.match(currentThumbnailPattern);
+        const currentFile = match && getCurrentThumbnailFile(match[1], match[2] || 'default');
+        if (!exists && !currentFile) {
+            reply.statusCode = 404;
+            reply.send({ error: 'No such thumbnail' });
+            return;
+        }
+        if (storage.isLocal) {
+            reply.sendFile(currentFile || file);
+            return;
+        }
+        reply.redirect(await storage.getDownloadUrl(currentFile || file));
+    });
+
+    // Deleting a thumbnail (by its versioned file name), even if it's pinned
+    const deleteOptions = {
+        config: { adminOnly: true },
+        schema: {
+            response: {
+                404: schemas.error,
+                200: {
+                    type: 'object',
+                    properties: {
+                        deleted: { type: 'string' },
+                    },
+                },
+            },
+        },
+    };
+    fastify.delete('/thumbnails/:file', deleteOptions, async (request, reply) => {
+        const { file } = request.params;
+        if (!(await deleteThumbnail(file))) {
+            reply.statusCode = 404;
+            reply.send({ error: 'No such thumbnail' });
+            return;
+        }
+        reply.send({ deleted: file });
+    });
+
+    // Versions of a BFD's thumbnails, and which is current
+    const versionsResponse = {
+        type: 'object',
+        properties: {
+            url: { type: 'string' },
+            currentVersion: { type: 'integer' },
+            pinnedVersion: { type: ['integer', 'null'] },
+            versions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        version: { type: 'integer' },
+                        createdAt: { type: 'string' },
+                        thumbnails: schemas.thumbnails,
+                    },
+                },
+            },
+        },
+    };
+    const urlQuerystring = {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string' },
+        },
+    };
+    const versionsOptions = {
+        schema: {
+            querystring: urlQuerystring,
+            response: {
+                404: schemas.error,
+                200: versionsResponse,
+            },
+        },
+    };
+    fastify.get('/thumbnail-versions', versionsOptions, async (request, reply) => {
+        const { url } = request.query;
+        // Other API keys' BFDs are hidden
+        const versions = canAccessUrl(request.apiKey, url) && getVersions(url);
+        if (!versions) {
+            reply.statusCode = 404;
+            reply.send({ error: 'No thumbnails for this URL' });
+            return;
+        }
+        reply.send({ url, ...versions });
+    });
+
+    // Pinning a version as current, e.g. to roll back
+    const pinOptions = {
+        config: { adminOnly: true },
+        schema: {
+            body: {
+                type: 'object',
+                required: ['url', 'version'],
+                properties: {
+                    url: { type: 'string' },
+                    version: { type: 'integer', minimum: 1 },
+                },
+            },
+            response: versionsOptions.schema.response,
+        },
+    };
+    fastify.put('/thumbnail-versions/current', pinOptions, async (request, reply) => {
+        const { url, version } = request.body;
+        if (!pinVersion(url, version)) {
+            reply.statusCode = 404;
+            reply.send({ error: `No version ${version} of thumbnails for this URL` });
+            return;
+        }
+        reply.send({ url, ...getVersions(url) });
+    });
+
+    // Unpinning, so the latest version is current again
+    const unpinOptions = {
+        config: { adminOnly: true },
+        schema: {
+            querystring: urlQuerystring,
+            response: versionsOptions.schema.response,
+        },
+    };
+    fastify.delete('/thumbnail-versions/current', unpinOptions, async (request, reply) => {
+        const { url } = request.query;
+        if (!unpinVersion(url)) {
+            reply.statusCode = 404;
+            reply.send({ error: 'No thumbnails for this URL' });
+            return;
+        }
+        reply.send({ url, ...getVersions(url) });
     });
 };
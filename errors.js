@@ -0,0 +1,74 @@
+// Why a project couldn't be downloaded or opened. Codes are part of the API,
+// so callers can branch on them: don't rename them.
+const errorCodes = {
+  DOWNLOAD_FAILED: 'Unable to download BFD',
+  NOT_A_BFD: 'File is not a valid BFD',
+  OPEN_TIMEOUT: 'Project took too long to open',
+  APP_MODAL_ERROR: 'App showed an error while opening project',
+  THUMBNAIL_UNAVAILABLE: 'Unable to generate thumbnail for project',
+  DOWNLOAD_EVENT_FAILED: 'Unable to save generated thumbnail',
+  BROWSER_CRASHED: 'Chrome crashed or was closed while opening project',
+  BATCH_TIMEOUT: 'Batch timed out before project was finished',
+  CANCELLED: 'Job was cancelled before project was finished',
+  UNKNOWN: 'Unexpected error',
+};
+
+// Failures that might not happen again on a fresh page
+const transientErrorCodes = ['OPEN_TIMEOUT', 'DOWNLOAD_EVENT_FAILED', 'BROWSER_CRASHED'];
+
+// Playwright errors that mean the page or browser went away
+const browserFailurePatterns = [
+  /crash/i,
+  /Target closed/i,
+  /has been closed/i,
+  /Execution context was destroyed/i,
+  /Protocol error/i,
+  /Navigation/i,
+];
+
+class ExtractionError extends Error {
+  /**
+   * @param {string} code - See errorCodes
+   * @param {object} [details] - e.g. { reason } with the underlying error
+   * @param {string} [message] - Defaults to description of code
+   */
+  constructor(code, details = {}, message = errorCodes[code]) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+module.exports = { ExtractionError, errorCodes, toExtractionError, isTransientError };
+
+/**
+ * Wrap whatever was thrown (often a string, or a Playwright "Evaluation
+ * failed" error) in an ExtractionError
+ * @param {*} err
+ * @param {string} code - Used unless the browser itself failed
+ * @param {object} [details]
+ * @returns {ExtractionError}
+ */
+function toExtractionError(err, code, details = {}) {
+  if (err instanceof ExtractionError) return err;
+
+  const reason = getReason(err);
+  if (browserFailurePatterns.some(pattern => pattern.test(reason))) {
+    return new ExtractionError('BROWSER_CRASHED', { reason });
+  }
+  return new ExtractionError(code, { reason, ...details });
+}
+
+function isTransientError(err) {
+  return err instanceof ExtractionError && transientErrorCodes.includes(err.code);
+}
+
+function getReason(err) {
+  const reason = err && err.message || String(err);
+  return reason.replace(/^Evaluation failed: /, '');
+}
@@ -1,20 +1,28 @@
-const fs = require('fs');
 const childProcess = require('child_process');
-const rimraf = require('rimraf');
 const { chromium } = require('playwright');
 
-const config = require('./config');
+const { settings } = require('./settings');
+const { findResult, saveResult } = require('./result-index');
+const { indexText } = require('./text-index');
+const { routeLocalFiles } = require('./local-files');
+const { getNextVersion, recordVersion } = require('./thumbnail-versions');
+const { ExtractionError, toExtractionError, isTransientError } = require('./errors');
+const { getBfdFileName, getThumbnailFileName, getStoredFileName } = require('./lib');
+const metrics = require('./metrics');
 
-module.exports = async (urlsToProcess, thumbnailFolder, log, forceTerminate = {}) => {
-  const useGPU = true; // Use native device GPU instead of SwiftShader
-  const isHeadless = true; // Headless or windowed mode
-  const isDebug = false;
-  const startTime = Date.now();
-  const swapFonts = true;
+const { useGPU, isHeadless, isDebug } = settings;
 
-  log(`Processing ${urlsToProcess.length} BFD URLs...`);
+const cacheDirectory = './.headless-chrome-cache';
 
-  const cacheDirectory = './.headless-chrome-cache';
+module.exports = { extractData, launchPage, resetPage, getRenditions, cacheDirectory };
+
+/**
+ * Launch Chrome and open the app, ready for projects to be opened
+ * @param {function} log
+ * @returns {Promise<{ browser, context, page }>}
+ */
+async function launchPage(log) {
+  log('Booting up Chrome instance');
 
   const chromeArgs = [
     '--force-device-scale-factor=1',
@@ -22,6 +30,10 @@ module.exports = async (urlsToProcess, thumbnailFolder, log, forceTerminate = {}
     useGPU ? '--use-gl=any' : '--use-gl=swiftshader',
     `--disk-cache-dir=${cacheDirectory}`,
   ];
+  if (settings.chromeCacheMaxSizeMB) {
+    // Chrome evicts entries itself to stay under this; retention.js only sweeps up after it
+    chromeArgs.push(`--disk-cache-size=${settings.chromeCacheMaxSizeMB * 1024 * 1024}`);
+  }
   const browser = await chromium.launch({
     headless: isHeadless,
     args: chromeArgs,
@@ -30,163 +42,321 @@ module.exports = async (urlsToProcess, thumbnailFolder, log, forceTerminate = {}
     acceptDownloads: true,
   });
 
-  // Allow parent process to exit
-  let wasTerminated = false;
-  let afterTermination = () => { };
-  forceTerminate.exit = async () => {
-    log('Request timed out');
-    wasTerminated = true;
-    await context.close();
-    await browser.close();
+  try {
+    // Add testing flags
+    await context.addCookies([{
+      name: 'testing_flags',
+      value: 'disable_webgl_performance_check, disable_indexeddb',
+      domain: settings.domain,
+      path: '/',
+    }]);
+
+    // Serve uploaded & local BFDs
+    await routeLocalFiles(context);
+
+    // Open page
+    const page = await context.newPage();
+    await resetPage(page);
+
+    if (isDebug) {
+      // Log anything in the console
+      page.on('console', (msg) => {
+        log(`Console > ${msg.args().join('\t')}`);
+      });
+    }
 
-    setTimeout(afterTermination, 1000);
-  };
+    // Log errors
+    page.on('pageerror', (msg) => {
+      log(`PageError > ${msg}`);
+    });
 
-  // Add testing flags
-  await context.addCookies([{
-    name: 'testing_flags',
-    value: 'disable_webgl_performance_check, disable_indexeddb',
-    domain: config.domain,
-    path: '/',
-  }]);
+    return { browser, context, page };
+  } catch (err) {
+    await browser.close();
+    throw err;
+  }
+}
 
-  // Open page
-  const page = await context.newPage();
-  await page.goto(config.createURL);
+/**
+ * (Re)load the app, e.g. after a failed project left it in a bad state
+ * @param {object} page
+ */
+async function resetPage(page) {
+  await page.goto(settings.createURL);
 
   // Wait for first section to open
   await page.waitForFunction('window.BFN && BFN.openedSections.length');
+}
 
-  if (isDebug) {
-    // Log anything in the console
-    page.on('console', (msg) => {
-      log(`Console > ${msg.args().join('\t')}`);
-    });
-  }
+/**
+ * Generate thumbnails & extract data from a list of BFDs, using every Chrome
+ * instance in the pool. Each instance takes the next URL from a shared queue
+ * whenever it's ready for one, so a few slow projects don't hold up the rest.
+ *
+ * onProgress(url, status, details, instanceID) is called as each URL moves
+ * through the pipeline: preloading, preloaded, opening, loaded, fontsSwapped,
+ * thumbnailSaved, retrying, and finally opened, fontSwap, missing or unopened
+ * (for which details is the project result)
+ *
+ * Projects that fail for transient reasons (e.g. timeouts or Chrome crashing)
+ * are retried after reloading the app or relaunching Chrome. An attempt that
+ * takes longer than 3 x projectTimeoutMs altogether (two loading waits, plus
+ * generating thumbnails) is abandoned by relaunching Chrome.
+ *
+ * @param {{ url: string, isThumbTransparent?: boolean }[]} urlsToProcess
+ * @param {object} options
+ * @param {object} options.pool - See createBrowserPool()
+ * @param {object} options.storage - Where thumbnails are saved, see thumbnail-storage.js
+ * @param {function} options.getLog - (instanceID) => log function
+ * @param {function} [options.onProgress]
+ * @param {object} [options.forceTerminate] - exit() and cancel() are added to it, which stop the batch early.
+ *   exit() abandons projects in progress, cancel() lets them finish
+ * @param {boolean} [options.swapFonts] - Swap missing fonts (rather than skipping the thumbnail)
+ * @param {number} [options.thumbnailSize] - Shortest side of thumbnail, in pixels
+ * @param {object[]} [options.renditions] - Thumbnails to generate instead, see getRenditions()
+ * @param {number} [options.projectTimeoutMs] - How long to wait for each project to open
+ * @param {string[]} [options.include] - Structured metadata to extract, see getProjectMetadata()
+ * @param {boolean} [options.unicodeText] - Also return text in its original Unicode (text is ASCII only)
+ * @param {number} [options.thumbnailVersion] - Save thumbnails as this version, rather than the next one for each BFD
+ * @param {boolean} [options.force] - Open BFDs even if they haven't changed since they were last extracted
+ * @param {number} [options.maxProjectAttempts] - How many times to try opening a project, if it fails for a transient reason
+ * @returns {Promise<object>} Results
+ */
+async function extractData(urlsToProcess, {
+  pool, storage, getLog, onProgress = () => { }, forceTerminate = {},
+  swapFonts = settings.swapFonts,
+  thumbnailSize = settings.thumbnailSize,
+  renditions,
+  projectTimeoutMs = settings.projectTimeoutMs,
+  include = [],
+  unicodeText = settings.unicodeText,
+  thumbnailVersion,
+  force = false,
+  maxProjectAttempts = settings.maxProjectAttempts,
+}) {
+  const startTime = Date.now();
+  const projectRenditions = getRenditions(renditions, thumbnailSize);
 
-  // Log errors
-  page.on('pageerror', (msg) => {
-    log(`PageError > ${msg}`);
-  });
+  // Each object in queue is of the form: { url <string>, index: <number> }
+  // where index starts at 1 (just used for logging)
+  const queuedProjects = urlsToProcess.map(({ url, isThumbTransparent }, index) => ({ index: index + 1, url, isThumbTransparent }));
 
-  return new Promise((resolveQueue) => {
+  // How many times each project has been attempted, by URL
+  const attempts = new Map();
 
-    // Ensure Promise resolves if process is terminated
-    afterTermination = () => { resolveQueue(cleanupBrowserAndGetResults()) };
+  const missingProjects = []; // Projects that could not be loaded
+  const fontSwapProjects = []; // Projects that required a font swap
+  const unopenedProjects = []; // Projects that could not be opened
+  const openedProjects = []; // Projects that were successfully opened
 
-    // Start a preload queue. Projects will be requested (and stored in cache)
-    // and then opened when browser is ready
-    // Each object in queue is of the form: { url <string>, index: <number> }
-    // where index starts at 1 (just used for logging)
-    const inParallel = 5;
-    const queuedProjects = urlsToProcess.map(({ url, isThumbTransparent }, index) => ({ index: index + 1, url, isThumbTransparent }));
-    const loadingProjects = [];
-    const preloadedProjects = [];
+  // Chrome instances currently working on a project
+  const busyWorkers = new Set();
 
-    const missingProjects = []; // Projects that could not be loaded
-    const fontSwapProjects = []; // Projects that required a font swap
-    const unopenedProjects = []; // Projects that could not be opened
-    const openedProjects = []; // Projects that were successfully opened
+  // Allow parent process to stop the batch early
+  let wasTerminated = false;
+  let wasCancelled = false;
+  forceTerminate.exit = async () => {
+    wasTerminated = true;
 
-    for (let i = 0; i < inParallel; i++) {
-      setTimeout(preloadNextURL, i * 200);
-    }
+    // Don't start any more projects
+    queuedProjects.splice(0).forEach(project => markAsStopped(project));
 
-    function preloadNextURL() {
-      if (!queuedProjects.length) return;
-      if (loadingProjects.length >= inParallel) return;
+    // Abandon projects in progress by relaunching their Chrome instances
+    await Promise.all([...busyWorkers].map(worker => {
+      worker.log('Request timed out');
+      return pool.recycle(worker);
+    }));
+  };
+  forceTerminate.cancel = () => {
+    if (wasTerminated) return;
+    wasCancelled = true;
+    queuedProjects.splice(0).forEach(project => markAsStopped(project));
+  };
 
-      const project = queuedProjects.shift();
-      const { url, index } = project;
+  const instancesUsed = await pool.forEachWorker(async (worker) => {
+    const log = getLog(worker.id);
+    worker.log = log;
+    busyWorkers.add(worker);
+
+    log(`Processing BFD URLs from queue of ${queuedProjects.length}...`);
+
+    // Preload the next project while the current one is being opened
+    let current = takeNextProject(worker);
+    while (current) {
+      const isPreloaded = await current.preloading;
+
+      // Chrome crashed mid-preload, so relaunch it before preloading the next project
+      if (!worker.page && !wasTerminated) {
+        try {
+          await pool.reset(worker);
+        } catch (err) {
+          log('Unable to relaunch Chrome', err.message);
+          if (isPreloaded) queuedProjects.unshift(current.project);
+          break;
+        }
+      }
 
-      loadingProjects.push(project);
+      const next = takeNextProject(worker);
 
-      const preloadStartTime = Date.now();
-      const fileName = url.split('/').pop();
+      if (isPreloaded) {
+        await openProject(worker, current.project);
+      }
 
-      let timeout;
-      reportLongLoadTime();
+      if (wasTerminated || wasCancelled) {
+        if (next && await next.preloading) markAsStopped(next.project, worker);
+        break;
+      }
 
-      // Preload this URL
-      page.$eval('#open_project_menu', (el, args) => new Promise((resolve, reject) => {
-        BeFunky.request(args.url, { responseType: 'blob' }, ({ response: blob, error }) => {
-          if (!error) return resolve(blob.size);
+      // Don't relaunch Chrome mid-preload
+      if (next) await next.preloading;
+      try {
+        await pool.afterProject(worker);
+      } catch (err) {
+        // Chrome couldn't be relaunched, so leave the rest to other instances
+        log('Unable to relaunch Chrome', err.message);
+        if (next) queuedProjects.unshift(next.project);
+        break;
+      }
 
-          // Try one more time
-          BeFunky.request(args.url, { responseType: 'blob' }, ({ response: secondBlob, error: secondError }) => {
-            if (!secondError) return resolve(secondBlob.size);
-            return reject(secondError);
-          });
-        });
-      }), { url })
-        .then((blobSize) => {
-          log(`Preloaded ${index} / ${urlsToProcess.length} in ${toSeconds(Date.now() - preloadStartTime)}s`, fileName, formatBytes(blobSize));
-
-          // Add size (in kb) to project
-          Object.assign(project, { sizeInKB: Math.round(blobSize / 1024) });
-
-          // Move from loadingProjects -> preloadedProjects
-          if (loadingProjects.indexOf(project) === -1) throw new Error('Can\'t find loading URL');
-          loadingProjects.splice(loadingProjects.indexOf(project), 1);
-          preloadedProjects.push(project);
-        })
-        .catch((error) => {
-          log(`\tFailed to preload project ${index} / ${urlsToProcess.length} on second attempt.`, url, error.message);
-
-          // Move from loadingProjects -> missingProjects
-          if (loadingProjects.indexOf(project) === -1) throw new Error('Can\'t find loading URL');
-          loadingProjects.splice(loadingProjects.indexOf(project), 1);
-
-          Object.assign(project, { error });
-          missingProjects.push(project);
-        })
-        .then(() => {
-          clearTimeout(timeout);
+      current = next;
+    }
 
-          if (isDebug && Math.random() > 0.8) logCacheDirectorySize(cacheDirectory);
+    busyWorkers.delete(worker);
+  });
 
-          // Open next preloaded project (if app is idle)
-          openNextProject();
+  // e.g. requeued after an interrupted preload, once every instance had stopped
+  if (wasTerminated || wasCancelled) {
+    queuedProjects.splice(0).forEach(project => markAsStopped(project));
+  }
 
-          // Start working on next URL, but prioritize under opening project,
-          // which takes longer
-          preloadNextURL();
+  return getResults();
+
+  /**
+   * Start preloading the next project in the queue. Projects are requested
+   * (and stored in cache) and then opened when the app is ready.
+   * @param {object} worker
+   * @returns {{ project: object, preloading: Promise<boolean> }|undefined} preloading resolves to whether the project needs to be opened
+   */
+  function takeNextProject(worker) {
+    if (!queuedProjects.length) return;
+
+    const { page, log, generation } = worker;
+    const project = queuedProjects.shift();
+    const { url, index } = project;
+    onProgress(url, 'preloading', {}, worker.id);
+
+    const preloadStartTime = Date.now();
+    const fileName = getBfdFileName(url);
+
+    let timeout;
+    reportLongLoadTime();
+
+    // Preload this URL
+    const preloading = page.$eval('#open_project_menu', (el, args) => new Promise((resolve, reject) => {
+      BeFunky.request(args.url, { responseType: 'blob' }, ({ response: blob, error }) => {
+        if (!error) return resolve(describeBlob(blob));
+
+        // Try one more time
+        BeFunky.request(args.url, { responseType: 'blob' }, ({ response: secondBlob, error: secondError }) => {
+          if (!secondError) return resolve(describeBlob(secondBlob));
+          return reject(secondError);
         });
+      });
 
-      function reportLongLoadTime() {
-        timeout = setTimeout(() => {
-          log(`\tProject ${index} / ${urlsToProcess.length} is taking a really long time to load! ${toSeconds(Date.now() - preloadStartTime)}s`, fileName);
-          reportLongLoadTime();
-        }, 15000);
+      // Get size and SHA-256 hash of BFD
+      function describeBlob(blob) {
+        return blob.arrayBuffer()
+          .then(buffer => crypto.subtle.digest('SHA-256', buffer))
+          .then((digest) => {
+            const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            return { size: blob.size, hash };
+          });
       }
-    }
-
-    // Only open one project at a time
-    let isOpeningProject = false;
-
-    // Open each preloaded project
-    async function openNextProject() {
-      if (isOpeningProject) return;
+    }), { url })
+      .then(async ({ size: blobSize, hash }) => {
+        const preloadTime = Date.now() - preloadStartTime;
+        log({ url, stage: 'preload', durationMs: preloadTime }, `Preloaded ${index} / ${urlsToProcess.length} in ${toSeconds(preloadTime)}s`, fileName, formatBytes(blobSize));
+        metrics.observeStage('preload', preloadTime);
+        metrics.observeBfdSize(blobSize);
+
+        // Add size (in kb) and content hash to project
+        Object.assign(project, { sizeInKB: Math.round(blobSize / 1024), contentHash: hash });
+        onProgress(url, 'preloaded', { sizeInKB: project.sizeInKB, contentHash: hash }, worker.id);
+
+        // Skip BFDs that haven't changed since they were last extracted
+        const previous = !force && findResult(url, hash, getOptionsKey(project));
+        if (previous && await hasThumbnailFiles(previous.project)) {
+          log({ url, stage: 'preload' }, `${index} / ${urlsToProcess.length} Unchanged since last extraction`, fileName);
+          Object.assign(project, previous.project, { cached: true });
+          (previous.status === 'fontSwap' ? fontSwapProjects : openedProjects).push(project);
+          onProgress(url, previous.status, project, worker.id);
+          return false;
+        }
+
+        return true;
+      })
+      .catch((error) => {
+        if (wasTerminated) {
+          markAsStopped(project, worker);
+          return false;
+        }
+
+        // App was reloaded or Chrome relaunched mid-preload, so try again
+        if (worker.generation !== generation && addAttempt(url) < maxProjectAttempts) {
+          log({ url, stage: 'preload', level: 'warn' }, `\tPreload of project ${index} / ${urlsToProcess.length} interrupted, requeuing`, fileName);
+          metrics.countRetry(new ExtractionError('BROWSER_CRASHED'));
+          queuedProjects.unshift(project);
+          return false;
+        }
+
+        log({ url, stage: 'preload', level: 'warn', durationMs: Date.now() - preloadStartTime }, `\tFailed to preload project ${index} / ${urlsToProcess.length} on second attempt.`, url, error.message);
+
+        Object.assign(project, { error: toExtractionError(error, 'DOWNLOAD_FAILED') });
+        missingProjects.push(project);
+        onProgress(url, 'missing', project, worker.id);
+        return false;
+      })
+      .finally(() => {
+        clearTimeout(timeout);
+
+        if (isDebug && Math.random() > 0.8) logCacheDirectorySize(log);
+      });
 
-      // Every project has been attempted
-      if (!preloadedProjects.length && !queuedProjects.length && !loadingProjects.length) {
-        return resolveQueue(cleanupBrowserAndGetResults());
-      }
+    return { project, preloading };
 
-      // Projects are still preloading...
-      if (!preloadedProjects.length) return;
+    function reportLongLoadTime() {
+      timeout = setTimeout(() => {
+        log({ url, stage: 'preload', level: 'warn', durationMs: Date.now() - preloadStartTime }, `\tProject ${index} / ${urlsToProcess.length} is taking a really long time to load! ${toSeconds(Date.now() - preloadStartTime)}s`, fileName);
+        reportLongLoadTime();
+      }, 15000);
+    }
+  }
 
-      // Open next project
-      const project = preloadedProjects.shift();
-      const { url, isThumbTransparent, index } = project;
-      const fileName = url.split('/').pop();
-      log(`${index} / ${urlsToProcess.length} Opening project...`, fileName);
+  // Open a preloaded project
+  async function openProject(worker, project) {
+    const { log } = worker;
+    const { url, isThumbTransparent, index } = project;
+    const fileName = getBfdFileName(url);
+    log({ url, stage: 'open' }, `${index} / ${urlsToProcess.length} Opening project...`, fileName);
+
+    onProgress(url, 'opening', {}, worker.id);
+    let result;
+    while (!result) {
+      const attempt = addAttempt(url);
+      const { generation } = worker;
+
+      // Give up on a page that has stopped responding
+      let isStuck = false;
+      const stuckTimeoutMs = projectTimeoutMs * 3;
+      const watchdog = setTimeout(() => {
+        isStuck = true;
+        log({ url, stage: 'open', level: 'warn', durationMs: stuckTimeoutMs }, `\tProject ${index} / ${urlsToProcess.length} is stuck after ${toSeconds(stuckTimeoutMs)}s, relaunching Chrome`, fileName);
+        pool.recycle(worker);
+      }, stuckTimeoutMs);
 
-      isOpeningProject = true;
-      let result;
       try {
         result = await openProjectAndGenerateThumbnail({
-          page,
+          page: worker.page,
           isDebug,
           bfdUrl: url,
           isThumbTransparent,
@@ -194,90 +364,250 @@ module.exports = async (urlsToProcess, thumbnailFolder, log, forceTerminate = {}
           useGPU,
           projectDescription: `${index} / ${urlsToProcess.length}`,
           log,
-          thumbnailFolder,
+          storage,
           swapFonts,
+          renditions: projectRenditions,
+          projectTimeoutMs,
+          include,
+          unicodeLabels: unicodeText,
+          thumbnailVersion: thumbnailVersion || getNextVersion(url),
+          onProgress: (...args) => onProgress(...args, worker.id),
         });
-      } catch (err) {
-        log(`!!!\tFailed to open project ${index} / ${urlsToProcess.length}`, fileName, err, '\n');
+      } catch (thrown) {
+        if (wasTerminated) return markAsStopped(project, worker);
+
+        const reason = String(thrown && thrown.message || thrown);
+        let err;
+        if (isStuck) err = new ExtractionError('OPEN_TIMEOUT', { timeoutMs: stuckTimeoutMs, reason });
+        // e.g. Chrome crashed
+        else if (worker.generation !== generation) err = new ExtractionError('BROWSER_CRASHED', { reason });
+        else err = toExtractionError(thrown, 'UNKNOWN');
+
+        log({ url, stage: 'open', level: 'error', errorCode: err.code, attempt, err }, `!!!\tFailed to open project ${index} / ${urlsToProcess.length} (attempt ${attempt} / ${maxProjectAttempts})`, fileName);
+
+        // Don't let a bad app state affect the next project (or attempt)
+        try {
+          await pool.reset(worker);
+        } catch (resetError) {
+          log('Unable to reset Chrome instance', resetError.message);
+        }
+
+        if (isTransientError(err) && attempt < maxProjectAttempts && !wasTerminated && !wasCancelled) {
+          onProgress(url, 'retrying', { attempt: attempt + 1, error: err }, worker.id);
+          metrics.countRetry(err);
+          continue;
+        }
 
         Object.assign(project, { error: err });
         unopenedProjects.push(project);
+        onProgress(url, 'unopened', project, worker.id);
+        break;
+      } finally {
+        clearTimeout(watchdog);
       }
-      isOpeningProject = false;
+    }
 
-      // Handle projects where the font needs to be swapped
-      if (result && result.fontsToSwap) {
-        Object.assign(project, result);
-        fontSwapProjects.push(project);
-      }
-      // Handle successful projects
-      else if (result && result.thumbURL) {
-        Object.assign(project, result);
-        openedProjects.push(project);
-      }
+    if (result && result.thumbURL) {
+      // Clean up thumbnails this version supersedes
+      recordVersion(url, result.thumbnailVersion, result.thumbnails);
 
-      if (isDebug && Math.random() > 0.8) logCacheDirectorySize(cacheDirectory);
+      // Make text searchable, whether or not it was asked for
+      indexText(url, result.unicodeText, result);
+      if (!unicodeText) delete result.unicodeText;
+    }
 
-      if (wasTerminated) return resolveQueue(cleanupBrowserAndGetResults());
+    // Remember result, in case this BFD is extracted again
+    if (result && result.thumbURL && project.contentHash) {
+      const { transparencyMismatch, ...storedResult } = result;
+      saveResult(url, project.contentHash, getOptionsKey(project), result.fontsToSwap ? 'fontSwap' : 'opened', storedResult);
+    }
 
-      // Move on to next project now that app is reset
-      openNextProject();
+    // Handle projects where the font needs to be swapped
+    if (result && result.fontsToSwap) {
+      Object.assign(project, result);
+      fontSwapProjects.push(project);
+      onProgress(url, 'fontSwap', project, worker.id);
+    }
+    // Handle successful projects
+    else if (result && result.thumbURL) {
+      Object.assign(project, result);
+      openedProjects.push(project);
+      onProgress(url, 'opened', project, worker.id);
     }
 
-    async function cleanupBrowserAndGetResults() {
-      log('Finished');
-      try {
-        await context.close();
-        await browser.close();
-      } catch (err) { }
+    if (isDebug && Math.random() > 0.8) logCacheDirectorySize(log);
+  }
 
-      const totalTime = Date.now() - startTime;
-      const perBFD = openedProjects.length ? `(${toSeconds(totalTime / openedProjects.length)}s / BFD)` : '';
-      const resultText = `Generated thumbnails for ${openedProjects.length} / ${urlsToProcess.length} BFDs in ${toSeconds(totalTime)}s ${perBFD}`;
-      log(resultText);
-      if (missingProjects.length) {
-        log(`${missingProjects.length} projects couldn't be downloaded:`);
-        missingProjects.forEach(({ index, url }) => {
-          log(`\t${index} / ${urlsToProcess.length} ${url}`);
-        });
-      }
-      if (fontSwapProjects.length) {
-        log(`${fontSwapProjects.length} projects had missing/copyrighted fonts:`);
-        fontSwapProjects.forEach(({ index, url, fontsToSwap }) => {
-          log(`\t${index} / ${urlsToProcess.length} ${url.split('/').pop()} \t${JSON.stringify(fontsToSwap)}`);
-        });
-      }
-      if (unopenedProjects.length) {
-        log(`${unopenedProjects.length} projects couldn't be opened:`);
-        unopenedProjects.forEach(({ index, url }) => {
-          log(`\t${index} / ${urlsToProcess.length} ${url}`);
-        });
-      }
+  // Returns number of attempts, including this one
+  function addAttempt(url) {
+    const count = (attempts.get(url) || 0) + 1;
+    attempts.set(url, count);
+    return count;
+  }
 
-      return {
-        result: resultText,
-        // Remove irrelevant index property just used for logging
-        openedProjects: openedProjects.map(p => { delete p.index; return p; }),
-        missingProjects: missingProjects.map(p => { delete p.index; return p; }),
-        fontSwapProjects: fontSwapProjects.map(p => { delete p.index; return p; }),
-        unopenedProjects: unopenedProjects.map(p => { delete p.index; return p; }),
-      };
-    }
+  // Identifies the options that affect a project's result
+  function getOptionsKey({ isThumbTransparent }) {
+    return JSON.stringify({ renditions: projectRenditions, swapFonts, isThumbTransparent, include, unicodeText, thumbnailVersion });
+  }
 
-  })
+  async function hasThumbnailFiles({ thumbURL, thumbnails = [{ url: thumbURL }] }) {
+    const exists = await Promise.all(thumbnails.map(thumbnail => storage.exists(getStoredFileName(thumbnail))));
+    return exists.every(Boolean);
+  }
 
-  function logCacheDirectorySize(directory) {
-    try {
-      log('Cache size:', childProcess.execSync(`du -sh ${directory}`).toString().trim());
-    } catch (e) {
-      log(`Unable to get cache size: ${e}`);
+  // For projects that won't be attempted (again), as the batch was stopped early
+  function markAsStopped(project, worker) {
+    Object.assign(project, { error: new ExtractionError(wasTerminated ? 'BATCH_TIMEOUT' : 'CANCELLED') });
+    unopenedProjects.push(project);
+    onProgress(project.url, 'unopened', project, worker && worker.id);
+  }
+
+  function getResults() {
+    const totalTime = Date.now() - startTime;
+    const perBFD = openedProjects.length ? `(${toSeconds(totalTime / openedProjects.length)}s / BFD)` : '';
+    const resultText = `Generated thumbnails for ${openedProjects.length} / ${urlsToProcess.length} BFDs in ${toSeconds(totalTime)}s ${perBFD} using ${instancesUsed} Chrome instance(s)`;
+
+    const log = getLog('summary');
+    log(resultText);
+    if (missingProjects.length) {
+      log(`${missingProjects.length} projects couldn't be downloaded:`);
+      missingProjects.forEach(({ index, url }) => {
+        log(`\t${index} / ${urlsToProcess.length} ${url}`);
+      });
+    }
+    if (fontSwapProjects.length) {
+      log(`${fontSwapProjects.length} projects had missing/copyrighted fonts:`);
+      fontSwapProjects.forEach(({ index, url, fontsToSwap }) => {
+        log(`\t${index} / ${urlsToProcess.length} ${getBfdFileName(url)} \t${JSON.stringify(fontsToSwap)}`);
+      });
+    }
+    if (unopenedProjects.length) {
+      log(`${unopenedProjects.length} projects couldn't be opened:`);
+      unopenedProjects.forEach(({ index, url }) => {
+        log(`\t${index} / ${urlsToProcess.length} ${url}`);
+      });
     }
+
+    return {
+      result: resultText,
+      // Remove irrelevant index property just used for logging
+      openedProjects: openedProjects.map(p => { delete p.index; return p; }),
+      missingProjects: missingProjects.map(p => { delete p.index; return p; }),
+      fontSwapProjects: fontSwapProjects.map(p => { delete p.index; return p; }),
+      unopenedProjects: unopenedProjects.map(p => { delete p.index; return p; }),
+    };
   }
+}
 
-};
+/**
+ * Read structured metadata from the open project. projectVO's schema isn't
+ * documented (only transformLabels' labelText is known), so common property
+ * names are tried for each field. Fields that none of them were found for are
+ * left out and listed in missingFields (e.g. labels.fontSize, or pageCount),
+ * as it can't be told whether the project doesn't have them or they're
+ * stored under another name.
+ * @param {object} page
+ * @param {string[]} include - Any of labels, fonts, layers, images, background, pages
+ * @param {boolean} [unicodeLabels] - Add each label's original unicodeText alongside its ASCII text
+ * @returns {Promise<object>} e.g. { labels: [{ text, fontFamily, fontSize, color, bounds }], fonts, layerCount, imageCount, imageURLs, backgroundColor, pageCount, missingFields }
+ */
+function getProjectMetadata(page, include, unicodeLabels) {
+  return page.$eval('#open_project_menu', (el, args) => {
+    const { projectVO } = BFN.AppModel.sectionValue(BFN.PhotoEditorModel, BFN.CollageMakerModel, BFN.DesignerModel);
+    const includes = name => args.include.includes(name);
+    const pick = (object, names) => names.map(name => object && object[name]).find(value => value !== undefined && value !== null);
+
+    // Fields that weren't found, e.g. labels.fontSize
+    const missingFields = new Set();
+    const report = (field, value) => {
+      if (value === undefined) missingFields.add(field);
+      return value;
+    };
+
+    // Colors may be stored as numbers (e.g. 0xff0000) or CSS strings
+    const toColor = (color) => {
+      if (typeof color === 'number') return `#${color.toString(16).padStart(6, '0')}`;
+      return typeof color === 'string' ? color : undefined;
+    };
+
+    const labels = (projectVO.transformLabels || [])
+      .filter(label => label.labelText && label.labelText.trim() && !BFN.FabricManager.isDefaultText(label.labelText))
+      .map((label) => {
+        const bounds = {};
+        ['x', 'y', 'width', 'height'].forEach((name) => {
+          const value = Number(pick(label, [name, { x: 'left', y: 'top' }[name]]));
+          if (Number.isNaN(value)) missingFields.add(`labels.bounds.${name}`);
+          else bounds[name] = value;
+        });
+        const fontSize = Number(pick(label, ['fontSize', 'size']));
+        if (Number.isNaN(fontSize)) missingFields.add('labels.fontSize');
+        const unicodeText = label.labelText.replace(/\s+/g, ' ').trim().normalize('NFC');
+        return {
+          text: unicodeText
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x20-\x7E]/g, '')
+            .trim(),
+          unicodeText: args.unicodeLabels ? unicodeText : undefined,
+          fontFamily: report('labels.fontFamily', pick(label, ['fontFamily', 'fontName', 'font'])),
+          fontSize: Number.isNaN(fontSize) ? undefined : fontSize,
+          color: report('labels.color', toColor(pick(label, ['color', 'textColor', 'fill']))),
+          bounds,
+        };
+      });
+
+    // Layers are stored in a list per type, e.g. transformLabels, transformImages
+    const layerLists = Object.keys(projectVO)
+      .filter(key => /^transform[A-Z]/.test(key) && Array.isArray(projectVO[key]))
+      .map(key => projectVO[key]);
+    const imageLayers = projectVO.transformImages || [];
+
+    // Any image URL, wherever it's referenced in the project
+    const imageURLs = new Set();
+    const findImageURLs = (value, depth) => {
+      if (typeof value === 'string') {
+        if (/^https?:\/\/[^\s]+\.(jpe?g|png|gif|webp|svg)(\?[^\s]*)?$/i.test(value)) imageURLs.add(value);
+      } else if (value && typeof value === 'object' && depth < 10) {
+        Object.values(value).forEach(child => findImageURLs(child, depth + 1));
+      }
+    };
+    if (includes('images')) findImageURLs(projectVO, 0);
+
+    const background = pick(projectVO, ['background', 'backgroundVO']);
+    const pages = pick(projectVO, ['pages', 'pageVOs']);
+
+    const metadata = {};
+    if (includes('labels')) metadata.labels = labels;
+    if (includes('fonts')) metadata.fonts = [...new Set(labels.map(({ fontFamily }) => fontFamily).filter(Boolean))];
+    if (includes('layers')) metadata.layerCount = layerLists.reduce((count, list) => count + list.length, 0);
+    if (includes('images')) {
+      metadata.imageCount = imageLayers.length || imageURLs.size;
+      metadata.imageURLs = [...imageURLs];
+    }
+    if (includes('background')) {
+      const backgroundColor = toColor(pick(projectVO, ['backgroundColor', 'bgColor']) || pick(background, ['color', 'backgroundColor']));
+      metadata.backgroundColor = report('backgroundColor', backgroundColor);
+    }
+    if (includes('pages')) metadata.pageCount = report('pageCount', Array.isArray(pages) ? pages.length : undefined);
+
+    // Labels are read for fonts too, but only their fonts were asked for then
+    const isIncluded = field => !field.startsWith('labels.') || includes('labels') || (field === 'labels.fontFamily' && includes('fonts'));
+    metadata.missingFields = [...missingFields].filter(isIncluded);
+    return Promise.resolve(metadata);
+  }, { include, unicodeLabels });
+}
+
+function logCacheDirectorySize(log) {
+  try {
+    log('Cache size:', childProcess.execSync(`du -sh ${cacheDirectory}`).toString().trim());
+  } catch (e) {
+    log(`Unable to get cache size: ${e}`);
+  }
+}
 
 async function openProjectAndGenerateThumbnail({
-  page, isDebug, isHeadless, useGPU, bfdUrl, projectDescription, log, thumbnailFolder, isThumbTransparent, swapFonts,
+  page, isDebug, isHeadless, useGPU, bfdUrl, projectDescription, log, storage, isThumbTransparent, swapFonts,
+  renditions, projectTimeoutMs, include, unicodeLabels, thumbnailVersion, onProgress,
 }) {
 
   if (!bfdUrl) throw new Error('BFD path/URL missing');
@@ -285,7 +615,14 @@ async function openProjectAndGenerateThumbnail({
   const startTime = Date.now();
 
   // Open BFD file
-  const bfdFileName = bfdUrl.split('/').pop();
+  const bfdFileName = getBfdFileName(bfdUrl);
+
+  // Log & measure how long each stage took
+  const endStage = (stage, stageStartTime) => {
+    const durationMs = Date.now() - stageStartTime;
+    metrics.observeStage(stage, durationMs);
+    log({ url: bfdUrl, stage, durationMs }, `${projectDescription} ${stage} took ${toSeconds(durationMs)}s`, bfdFileName);
+  };
   const startTimeFetchingProject = Date.now();
 
   const bfdVersion = await page.$eval('#open_project_menu', (el, args) => new Promise((resolve, reject) => {
@@ -323,12 +660,16 @@ async function openProjectAndGenerateThumbnail({
 
     });
 
-  }), { url: bfdUrl });
+  }), { url: bfdUrl }).catch((err) => {
+    throw toExtractionError(err, /No BFD object/.test(err.message) ? 'NOT_A_BFD' : 'DOWNLOAD_FAILED');
+  });
 
   const timeFetchingProject = Date.now() - startTimeFetchingProject;
 
   // Wait for everything to finish loading
   await waitForLoadingToComplete();
+  onProgress(bfdUrl, 'loaded', { timeFetchingProject });
+  endStage('open', startTimeFetchingProject);
 
   if (isDebug) {
     await page.screenshot({ path: `${startTime}-2.jpg`, type: 'jpeg', quality: 90 });
@@ -350,14 +691,19 @@ async function openProjectAndGenerateThumbnail({
 
   if (fontsToSwap) {
     if (!swapFonts) {
-      log(`${projectDescription} Fonts need swapped`, bfdFileName, fontsToSwap);
+      log({ url: bfdUrl, stage: 'fontSwap' }, `${projectDescription} Fonts need swapped`, bfdFileName, fontsToSwap);
       return { fontsToSwap };
     }
-    log(`${projectDescription} Swapping fonts...`, bfdFileName, fontsToSwap);
+    log({ url: bfdUrl, stage: 'fontSwap' }, `${projectDescription} Swapping fonts...`, bfdFileName, fontsToSwap);
   }
 
   // Wait for everything to finish loading
+  const startTimeSwappingFonts = Date.now();
   await waitForLoadingToComplete();
+  if (fontsToSwap) {
+    onProgress(bfdUrl, 'fontsSwapped', { fontsToSwap });
+    endStage('fontSwap', startTimeSwappingFonts);
+  }
 
   // Make sure project has loaded
   await page.$eval('#open_project_menu', () => {
@@ -378,16 +724,20 @@ async function openProjectAndGenerateThumbnail({
       // Throw error so this template is marked as unopened
       throw text;
     }
+  }).catch((err) => {
+    throw toExtractionError(err, 'APP_MODAL_ERROR');
   });
 
   // Get project text, width & height
-  const { text, projectWidth, projectHeight, sectionID, sourceTemplateID } = await page.$eval('#open_project_menu', () => {
+  const { text, unicodeText, projectWidth, projectHeight, sectionID, sourceTemplateID } = await page.$eval('#open_project_menu', () => {
     const { projectVO } = BFN.AppModel.sectionValue(BFN.PhotoEditorModel, BFN.CollageMakerModel, BFN.DesignerModel);
-    const text = projectVO.transformLabels
+    const unicodeText = projectVO.transformLabels
       .map(label => label.labelText)
       .map(str => str.replace(/\s+/g, ' ').trim())
       .filter(str => str && !BFN.FabricManager.isDefaultText(str))
       .join(' ')
+      .normalize('NFC');
+    const text = unicodeText
       // Convert characters to ASCII equivalents
       // https://stackoverflow.com/a/37511463/1546808
       .normalize('NFD')
@@ -400,17 +750,26 @@ async function openProjectAndGenerateThumbnail({
 
     const { projectWidth, projectHeight, sourceTemplateID } = projectVO;
     const sectionID = projectVO.section;
-    return Promise.resolve({ text, projectWidth, projectHeight, sectionID, sourceTemplateID });
+    return Promise.resolve({ text, unicodeText, projectWidth, projectHeight, sectionID, sourceTemplateID });
   });
 
-  // Generate and download thumbnail
-  const { extension: thumbnailExtension, transparencyMismatch } = await page.$eval('#open_project_menu', (el, args) => {
-    console.log('Generating high quality thumbnail...');
+  // Get structured metadata, if requested
+  let metadata;
+  if (include && include.length) {
+    metadata = await getProjectMetadata(page, include, unicodeLabels).catch((err) => {
+      log({ url: bfdUrl, stage: 'metadata', level: 'warn' }, `${projectDescription} Unable to get metadata`, bfdFileName, err.message);
+    });
+  }
+
+  // Generate thumbnails
+  const startTimeRendering = Date.now();
+  const { renditionFiles, transparencyMismatch } = await page.$eval('#open_project_menu', (el, args) => {
+    console.log('Generating high quality thumbnails...');
 
     //
     // Modified version of BFN.ProjectManager.createThumbnail
-    // - Always creates high quality thumbnail (JPG or PNG is passed in)
-    // - Set up savePreviewBlob() to download the Blob
+    // - Always creates high quality thumbnails (in every requested size & format)
+    // - Set up savePreviewBlob() to download each Blob
     //
 
     const { isAvailable, reason } = BFN.ProjectManager.checkThumbnailAvailability(args.sectionID);
@@ -430,62 +789,130 @@ async function openProjectAndGenerateThumbnail({
     }
     if (!texture) return Promise.reject('no_flattened_image');
 
-    const aspectRatio = texture.width / texture.height;
+    const quality = 1;
+    const mimeTypes = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+    const blobs = [];
+    let isProjectTransparent;
+
+    // Generate each rendition in turn from the same flattened texture
+    const result = args.renditions.reduce((previous, rendition) => previous.then(async (renditionFiles) => {
+      const { size, format, crop } = rendition;
+
+      // Area of project to include, centered
+      let cropWidth = texture.width;
+      let cropHeight = texture.height;
+      if (crop) {
+        const cropRatio = crop.width / crop.height;
+        if (texture.width / texture.height > cropRatio) {
+          cropWidth = Math.round(texture.height * cropRatio);
+        } else {
+          cropHeight = Math.round(texture.width / cropRatio);
+        }
+      }
 
-    // Like aspect ratio, but always >= 1
-    const sideRatio = aspectRatio >= 1 ? aspectRatio : 1 / aspectRatio;
+      // Scale such that the cropped area's shortest side is the requested size
+      // if possible (but don't up-scale project)
+      const scale = size ? Math.min(1, size / Math.min(cropWidth, cropHeight)) : 1;
+      const maxSideLength = Math.round(Math.max(texture.width, texture.height) * scale);
 
-    // Create a thumbnail such that it's shortest side is at least 720 pixels
-    // if possible (but don't up-scale project)
-    const maxSideLength = Math.round(720 * sideRatio);
+      const [thumbWidth, thumbHeight] = BFN.TextureUtils.getScaledDimensions(texture, { maxWidth: maxSideLength, maxHeight: maxSideLength });
 
-    const [thumbWidth, thumbHeight] = BFN.TextureUtils.getScaledDimensions(texture, { maxWidth: maxSideLength, maxHeight: maxSideLength });
+      // Don't resize if the texture is already the right size (e.g. for small projects)
+      const thumbTexture = texture.width === thumbWidth && texture.height === thumbHeight
+        ? texture
+        : BFN.Util.getThumbTexture(texture, Math.max(thumbWidth, thumbHeight));
 
-    // Don't resize if the texture is already the right size (e.g. for small projects)
-    const thumbTexture = texture.width === thumbWidth && texture.height === thumbHeight
-      ? texture
-      : BFN.Util.getThumbTexture(texture, Math.max(thumbWidth, thumbHeight));
+      if (isProjectTransparent === undefined) {
+        isProjectTransparent = BFN.Util.isTransparent(thumbTexture);
+      }
 
-    const quality = 1;
+      // Allow transparency to be overriden to match prior thumbnail
+      const isTransparent = typeof args.isThumbTransparent === 'boolean'
+        ? args.isThumbTransparent
+        : isProjectTransparent;
+
+      let blob;
+      if (!crop && format !== 'webp') {
+        blob = await BFN.TextureUtils.textureToBlob(thumbTexture, {
+          isTransparent: format === 'png' || (format === 'auto' && isTransparent),
+          quality,
+        });
+      } else {
+        // Crop and/or convert via a canvas
+        const pngBlob = await BFN.TextureUtils.textureToBlob(thumbTexture, { isTransparent: true, quality });
+        const bitmap = await createImageBitmap(pngBlob);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(cropWidth * scale);
+        canvas.height = Math.round(cropHeight * scale);
+        const context = canvas.getContext('2d');
+
+        const outputFormat = format === 'auto' ? (isTransparent ? 'png' : 'jpg') : format;
+        if (outputFormat === 'jpg' || (outputFormat === 'webp' && !isTransparent)) {
+          context.fillStyle = '#fff';
+          context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(bitmap, (canvas.width - bitmap.width) / 2, (canvas.height - bitmap.height) / 2);
+        bitmap.close();
+
+        blob = await new Promise(resolve => canvas.toBlob(resolve, mimeTypes[outputFormat], 0.92));
+      }
 
-    const isProjectTransparent = BFN.Util.isTransparent(thumbTexture);
+      if (thumbTexture !== texture) thumbTexture.destroyGC(true);
 
-    // Allow transparency to be overriden to match prior thumbnail
-    const isTransparent = typeof args.isThumbTransparent === 'boolean'
-      ? args.isThumbTransparent
-      : isProjectTransparent;
+      const extension = Object.keys(mimeTypes).find(key => mimeTypes[key] === blob.type) || 'png';
+      const { width, height } = await createImageBitmap(blob).then((bitmap) => {
+        const dimensions = { width: bitmap.width, height: bitmap.height };
+        bitmap.close();
+        return dimensions;
+      });
 
-    const result = BFN.TextureUtils.textureToBlob(thumbTexture, { isTransparent, quality })
-      .then((blob) => {
-        const extension = blob.type === 'image/jpeg' ? 'jpg' : 'png';
-        const fileName = `thumbnail.${extension}`;
-        window.savePreviewBlob = () => {
-          saveAs(blob, fileName);
+      blobs.push(blob);
+      return [...renditionFiles, { name: rendition.name, extension, width, height }];
+    }), Promise.resolve([]))
+      .then((renditionFiles) => {
+        window.savePreviewBlob = (index) => {
+          saveAs(blobs[index], `thumbnail-${index}.${renditionFiles[index].extension}`);
           return true;
         };
-        return { extension, transparencyMismatch: args.isThumbTransparent === !isProjectTransparent };
+        return { renditionFiles, transparencyMismatch: args.isThumbTransparent === !isProjectTransparent };
+      })
+      .finally(() => {
+        texture.destroyGC(true);
       });
 
-    texture.destroyGC(true);
-    thumbTexture.destroyGC(true);
-
     return result;
 
-  }, { isThumbTransparent, sectionID });
+  }, { isThumbTransparent, sectionID, renditions }).catch((err) => {
+    throw toExtractionError(err, 'THUMBNAIL_UNAVAILABLE');
+  });
+
+  endStage('render', startTimeRendering);
+
+  // Download thumbnails
+  const startTimeDownloading = Date.now();
+  const thumbnails = [];
+  for (let index = 0; index < renditionFiles.length; index++) {
+    const { name, extension, width, height } = renditionFiles[index];
+    const [download] = await Promise.all([
+      page.waitForEvent('download'), // wait for download to start
+      page.waitForFunction(`savePreviewBlob(${index})`),
+    ]).catch((err) => {
+      throw toExtractionError(err, 'DOWNLOAD_EVENT_FAILED');
+    });
+
+    const path = await download.path();
+    if (!path) throw new ExtractionError('DOWNLOAD_EVENT_FAILED', { reason: 'Failed to download file' });
 
-  const [download] = await Promise.all([
-    page.waitForEvent('download'), // wait for download to start
-    page.waitForFunction('savePreviewBlob()'),
-  ]);
+    const thumbFileName = getThumbnailFileName(bfdUrl, extension, name, thumbnailVersion);
+    const thumbURL = await storage.save(thumbFileName, path).catch((err) => {
+      throw new ExtractionError('DOWNLOAD_EVENT_FAILED', { reason: `Failed to save thumbnail: ${err.message}` });
+    });
 
-  const path = await download.path();
-  let thumbFileName;
-  if (path) {
-    thumbFileName = `${bfdFileName.replace(/\.bfd/, `.bfd_thumb_v1.${thumbnailExtension}`)}`;
-    fs.copyFileSync(path, `${thumbnailFolder}/${thumbFileName}`);
-  } else {
-    throw 'Failed to download file';
+    const thumbnail = { name: name || 'default', url: thumbURL, fileName: thumbFileName, format: extension, width, height };
+    thumbnails.push(thumbnail);
+    onProgress(bfdUrl, 'thumbnailSaved', { thumbURL: thumbnail.url, rendition: thumbnail.name });
   }
+  endStage('download', startTimeDownloading);
 
   // Reset app
   await page.$eval('#open_project_menu', () => {
@@ -498,19 +925,26 @@ async function openProjectAndGenerateThumbnail({
   const processingTime = totalTime - timeFetchingProject;
 
   // log('Time:', bfdFileName);
-  log(`${projectDescription} Thumbnail saved. ${isHeadless ? 'Headless' : 'Windowed'} + ${useGPU ? 'GPU' : 'SwiftShader'}:`, `Processing = ${toSeconds(processingTime)}s. Fetching project = ${toSeconds(timeFetchingProject)}s`);
+  log({ url: bfdUrl, stage: 'thumbnail', durationMs: totalTime }, `${projectDescription} Thumbnail saved. ${isHeadless ? 'Headless' : 'Windowed'} + ${useGPU ? 'GPU' : 'SwiftShader'}:`, `Processing = ${toSeconds(processingTime)}s. Fetching project = ${toSeconds(timeFetchingProject)}s`);
 
   const result = {
-    thumbURL: `/thumbnails/${thumbFileName}`,
+    thumbURL: thumbnails[0].url,
+    thumbnails,
+    thumbnailVersion,
     projectWidth,
     projectHeight,
     text: encodeURIComponent(text),
+    unicodeText,
     sectionID,
     version: bfdVersion,
     sourceTemplateID: sourceTemplateID || '',
     transparencyMismatch,
   };
 
+  if (metadata) {
+    result.metadata = metadata;
+  }
+
   if (fontsToSwap) {
     result.fontsToSwap = fontsToSwap;
   }
@@ -518,12 +952,12 @@ async function openProjectAndGenerateThumbnail({
   return result;
 
   async function waitForLoadingToComplete() {
-    await page.$eval('#open_project_menu', () => {
+    await page.$eval('#open_project_menu', (el, args) => {
       return new Promise((resolve, reject) => {
         console.log('Waiting...');
 
-        // Never wait longer than 20 seconds
-        const maxWaitTime = 20 * 1000;
+        // Never wait longer than 20 seconds (or whatever was requested)
+        const maxWaitTime = args.projectTimeoutMs;
         const timeout = setTimeout(() => {
 
           // Cancel project loading
@@ -570,12 +1004,50 @@ async function openProjectAndGenerateThumbnail({
           BFN.MainUI.addIdleRenderFunction(callback);
         }, 50);
       }
+    }, { projectTimeoutMs }).catch((err) => {
+      throw toExtractionError(err, 'OPEN_TIMEOUT', { timeoutMs: projectTimeoutMs });
     });
   }
 
 
 }
 
+/**
+ * Normalize the list of thumbnails to generate for each project. Without any,
+ * a single JPG or PNG (depending on transparency) is generated
+ * @param {object[]} [renditions]
+ * @param {number} [renditions[].size] - Shortest side, in pixels. Defaults to full size
+ * @param {string} [renditions[].format] - auto (JPG or PNG), jpg, png or webp
+ * @param {string} [renditions[].crop] - square, or an aspect ratio like 16:9
+ * @param {string} [renditions[].name] - Used in file name, e.g. 240-square
+ * @param {number} thumbnailSize - Size of default thumbnail
+ * @returns {object[]}
+ */
+function getRenditions(renditions, thumbnailSize) {
+  if (!renditions || !renditions.length) {
+    return [{ size: thumbnailSize, format: 'auto' }];
+  }
+
+  return renditions.map(({ size, format = 'auto', crop, name }) => {
+    const [cropWidth, cropHeight] = crop === 'square' ? [1, 1] : (crop || '').split(':').map(Number);
+    return {
+      name: name || getRenditionName({ size, format, crop }),
+      size,
+      format,
+      crop: cropWidth && cropHeight ? { width: cropWidth, height: cropHeight } : null,
+    };
+  });
+}
+
+// e.g. 240, full-square or 720-16x9-webp
+function getRenditionName({ size, format, crop }) {
+  return [
+    size ? String(size) : 'full',
+    crop && crop.replace(':', 'x'),
+    format !== 'auto' && format,
+  ].filter(Boolean).join('-');
+}
+
 function toSeconds(time) {
   return (time / 1000).toFixed(1);
 }
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const { settings } = require('./settings');
+const { getBfdMetadata } = require('./bfd-parser');
+const { getLocalFilePath } = require('./local-files');
+const { isAllowedHost, rejectionReasons } = require('./bfd-urls');
+const { getBfdFileName } = require('./lib');
+const { ExtractionError, toExtractionError } = require('./errors');
+const metrics = require('./metrics');
+
+const maxRedirects = 5;
+
+module.exports = { extractMetadata };
+
+/**
+ * Get metadata (dimensions, text, section, version, template) from a list of
+ * BFDs without opening them in Chrome, by downloading and parsing them here.
+ * No thumbnails are generated.
+ *
+ * onProgress(url, status, details) is called with preloading, preloaded, and
+ * finally opened, missing or unopened, as with extractData()
+ *
+ * @param {{ url: string }[]} urlsToProcess
+ * @param {object} options
+ * @param {function} options.getLog - (instanceID) => log function
+ * @param {function} [options.onProgress]
+ * @param {object} [options.forceTerminate] - exit() and cancel() are added to it, which stop the batch early
+ * @param {number} [options.projectTimeoutMs] - How long to wait for each download
+ * @param {boolean} [options.unicodeText] - Also return text in its original Unicode
+ * @returns {Promise<object>} Results, in the same form as extractData()
+ */
+async function extractMetadata(urlsToProcess, {
+  getLog, onProgress = () => { }, forceTerminate = {},
+  projectTimeoutMs = settings.projectTimeoutMs,
+  unicodeText = settings.unicodeText,
+}) {
+  const startTime = Date.now();
+  const log = getLog('metadata');
+  const queuedProjects = urlsToProcess.map(({ url }, index) => ({ index: index + 1, url }));
+
+  const missingProjects = [];
+  const unopenedProjects = [];
+  const openedProjects = [];
+
+  // Allow parent process to stop the batch early. Downloads in progress are
+  // short, so they're always allowed to finish
+  let stopCode = null;
+  const stop = (code) => {
+    if (stopCode) return;
+    stopCode = code;
+    queuedProjects.splice(0).forEach((project) => {
+      Object.assign(project, { error: new ExtractionError(code) });
+      unopenedProjects.push(project);
+      onProgress(project.url, 'unopened', project);
+    });
+  };
+  forceTerminate.exit = async () => stop('BATCH_TIMEOUT');
+  forceTerminate.cancel = () => stop('CANCELLED');
+
+  log(`Parsing ${queuedProjects.length} BFD(s), ${settings.metadataConcurrency} at a time...`);
+
+  await Promise.all(Array.from({ length: settings.metadataConcurrency }, async () => {
+    while (queuedProjects.length) {
+      await processProject(queuedProjects.shift());
+    }
+  }));
+
+  const totalTime = Date.now() - startTime;
+  const resultText = `Parsed ${openedProjects.length} / ${urlsToProcess.length} BFDs in ${toSeconds(totalTime)}s`;
+  log(resultText);
+
+  return {
+    result: resultText,
+    openedProjects: openedProjects.map(p => { delete p.index; return p; }),
+    missingProjects: missingProjects.map(p => { delete p.index; return p; }),
+    fontSwapProjects: [],
+    unopenedProjects: unopenedProjects.map(p => { delete p.index; return p; }),
+  };
+
+  async function processProject(project) {
+    const { url, index } = project;
+    const fileName = getBfdFileName(url);
+    onProgress(url, 'preloading', {});
+    const preloadStartTime = Date.now();
+
+    let buffer;
+    try {
+      const localPath = getLocalFilePath(url);
+      if (localPath) {
+        buffer = await fs.promises.readFile(localPath);
+      } else {
+        // Try one more time, like the app does (unless it was redirected
+        // somewhere it can't be downloaded from)
+        buffer = await downloadBfd(url, projectTimeoutMs)
+          .catch(err => (err instanceof ExtractionError ? Promise.reject(err) : downloadBfd(url, projectTimeoutMs)));
+      }
+    } catch (err) {
+      log({ url, stage: 'preload', level: 'warn', durationMs: Date.now() - preloadStartTime }, `\tFailed to download project ${index} / ${urlsToProcess.length}`, url, err.message);
+      Object.assign(project, { error: toExtractionError(err, 'DOWNLOAD_FAILED') });
+      missingProjects.push(project);
+      onProgress(url, 'missing', project);
+      return;
+    }
+
+    metrics.observeStage('preload', Date.now() - preloadStartTime);
+    metrics.observeBfdSize(buffer.length);
+
+    Object.assign(project, {
+      sizeInKB: Math.round(buffer.length / 1024),
+      contentHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    });
+    onProgress(url, 'preloaded', { sizeInKB: project.sizeInKB, contentHash: project.contentHash });
+
+    try {
+      Object.assign(project, getBfdMetadata(buffer, { unicodeText }));
+    } catch (err) {
+      log({ url, stage: 'parse', level: 'error', errorCode: 'NOT_A_BFD' }, `!!!\tFailed to parse project ${index} / ${urlsToProcess.length}`, fileName, err.message);
+      Object.assign(project, { error: toExtractionError(err, 'NOT_A_BFD') });
+      unopenedProjects.push(project);
+      onProgress(url, 'unopened', project);
+      return;
+    }
+
+    openedProjects.push(project);
+    onProgress(url, 'opened', project);
+  }
+}
+
+/**
+ * Download a BFD, following redirects within allowedHosts
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @param {number} [redirects] - How many redirects have been followed so far
+ * @returns {Promise<Buffer>}
+ */
+function downloadBfd(url, timeoutMs, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const { get } = url.startsWith('https:') ? https : http;
+    const req = get(url, { timeout: timeoutMs }, (res) => {
+      const { statusCode, headers } = res;
+      if (statusCode >= 300 && statusCode < 400 && headers.location && redirects < maxRedirects) {
+        res.resume();
+        let location;
+        try {
+          location = new URL(headers.location, url);
+        } catch (err) {
+          return reject(new Error(`Invalid redirect to ${headers.location}`));
+        }
+        const code = getRedirectRejection(location);
+        if (code) {
+          return reject(new ExtractionError('DOWNLOAD_FAILED', { reason: rejectionReasons[code], code, redirectedTo: location.href }));
+        }
+        return resolve(downloadBfd(location.href, timeoutMs, redirects + 1));
+      }
+      if (statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${statusCode}`));
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+  });
+}
+
+// Same checks as the URLs passed for a job, see bfd-urls.js
+function getRedirectRejection(location) {
+  if (location.protocol !== 'http:' && location.protocol !== 'https:') return 'UNSUPPORTED_PROTOCOL';
+  if (!isAllowedHost(location)) return 'HOST_NOT_ALLOWED';
+}
+
+function toSeconds(time) {
+  return (time / 1000).toFixed(1);
+}
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+const { getResultsPath } = require('./settings');
+
+// Append-only log of everything that happens to a job, one JSON object per
+// line, so that jobs can be resumed after the server restarts
+const journalPath = getResultsPath('jobs.jsonl');
+fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+
+module.exports = { appendRecord, readJournal, compactJournal };
+
+/**
+ * Record an event, e.g. { type: 'outcome', id, url, status, project }
+ * @param {object} record
+ */
+function appendRecord(record) {
+  fs.appendFileSync(journalPath, JSON.stringify({ ...record, at: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Replay journal to get the last known state of every job
+ * @returns {object[]} jobs, in order of submission
+ */
+function readJournal() {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const jobs = new Map();
+  lines.forEach((line) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      // Blank line, or the last line was only partially written
+      return;
+    }
+
+    if (record.type === 'submitted') {
+      jobs.set(record.id, {
+        id: record.id,
+        status: 'queued',
+        createdAt: record.at,
+        urls: record.urls,
+        callbackUrl: record.callbackUrl,
+        projectOptions: record.projectOptions,
+        owner: record.owner,
+        outcomes: new Map(),
+      });
+      return;
+    }
+
+    const job = jobs.get(record.id);
+    if (!job) return;
+
+    switch (record.type) {
+      case 'started':
+        job.startedAt = job.startedAt || record.at;
+        break;
+      case 'outcome':
+        job.outcomes.set(record.url, { status: record.status, project: record.project });
+        break;
+      case 'finished':
+        Object.assign(job, {
+          status: record.status,
+          finishedAt: record.at,
+          resultText: record.result,
+          error: record.error,
+        });
+        break;
+    }
+  });
+
+  return [...jobs.values()];
+}
+
+/**
+ * Rewrite journal so it only contains records for these jobs
+ * @param {string[]} jobIDs
+ */
+function compactJournal(jobIDs) {
+  let lines = [];
+  try {
+    lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return;
+  }
+
+  const keptLines = lines.filter((line) => {
+    try {
+      return jobIDs.includes(JSON.parse(line).id);
+    } catch (err) {
+      return false;
+    }
+  });
+
+  const tempPath = `${journalPath}.tmp`;
+  fs.writeFileSync(tempPath, keptLines.map(line => line + '\n').join(''));
+  fs.renameSync(tempPath, journalPath);
+}
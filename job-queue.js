@@ -0,0 +1,452 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { extractData, launchPage, resetPage } = require('./extract-data');
+const { extractMetadata } = require('./extract-metadata');
+const { createBrowserPool } = require('./browser-pool');
+const { appendRecord, readJournal, compactJournal } = require('./job-journal');
+const { storeResult } = require('./result-store');
+const { getThumbnailStorage } = require('./thumbnail-storage');
+const { getVersions } = require('./thumbnail-versions');
+const { sendWebhook } = require('./webhooks');
+const metrics = require('./metrics');
+const { logger, openJobLog, closeJobLog, toLogFunction } = require('./logger');
+const { ExtractionError, toExtractionError } = require('./errors');
+const { randomAlphaString } = require('./lib');
+
+const { settings, getResultsPath } = require('./settings');
+
+const { maxChromeInstances } = settings;
+const maxJobSize = maxChromeInstances * settings.maxBatchSize;
+
+// How many finished jobs to keep around for polling
+const maxFinishedJobs = 100;
+
+// All known jobs, by ID
+const jobs = new Map();
+
+// Jobs waiting to run. Only one job runs at a time
+const queuedJobs = [];
+let runningJob = null;
+
+// Chrome instances are kept running between jobs
+let browserPool = null;
+
+// While Chrome is closed for maintenance (e.g. sweeping its cache), jobs wait
+let browserPause = null;
+
+// Where projects end up in the combined results, by outcome
+const resultKeys = {
+  opened: 'openedProjects',
+  missing: 'missingProjects',
+  fontSwap: 'fontSwapProjects',
+  unopened: 'unopenedProjects',
+};
+
+module.exports = {
+  submitJob, getJob, getQueuePosition, countActiveJobs, getActiveJobIDs, cancelJob, resumeJobs, warmUpBrowsers, closeBrowsers,
+  whileBrowsersClosed, getQueueStats, maxJobSize,
+};
+
+/**
+ * Queue a list of BFDs for extraction
+ * @param {{ url: string, isThumbTransparent?: boolean }[]} urls
+ * @param {object} options
+ * @param {string} [options.callbackUrl] - Notified as thumbnails are saved, and when job finishes
+ * @param {object} [options.projectOptions] - Overrides settings like swapFonts for this job
+ * @param {string} [options.owner] - Name of the API key it was submitted with
+ * @returns {object} job
+ */
+function submitJob(urls, { callbackUrl, projectOptions = {}, owner } = {}) {
+  const job = createJob({
+    id: randomAlphaString(8),
+    createdAt: new Date().toISOString(),
+    urls,
+    callbackUrl,
+    projectOptions,
+    owner,
+  });
+
+  appendRecord({ type: 'submitted', id: job.id, urls, callbackUrl, projectOptions, owner });
+
+  jobs.set(job.id, job);
+  queuedJobs.push(job);
+  runNextJob();
+
+  return job;
+}
+
+/**
+ * Reload jobs from the journal after a restart, and queue any that hadn't
+ * finished. URLs that already have an outcome or a thumbnail are skipped.
+ */
+function resumeJobs() {
+  const journaledJobs = readJournal();
+  const unfinishedJobs = journaledJobs.filter(({ finishedAt }) => !finishedAt);
+  const finishedJobs = journaledJobs
+    .filter(({ finishedAt }) => finishedAt)
+    .slice(-maxFinishedJobs);
+
+  [...finishedJobs, ...unfinishedJobs].forEach((journaledJob) => {
+    const job = createJob(journaledJob);
+    journaledJob.outcomes.forEach(({ status, project }, url) => {
+      job.progress.set(url, status);
+      job.outcomes.set(url, project);
+    });
+    if (job.status === 'done' || job.status === 'cancelled') {
+      job.result = { result: journaledJob.resultText, ...combineResults(job) };
+    }
+    jobs.set(job.id, job);
+  });
+
+  // Only keep what's still relevant
+  compactJournal([...jobs.keys()]);
+
+  // Thumbnails generated since the job was created are in the thumbnail
+  // manifest, even if their outcome wasn't journaled
+  unfinishedJobs.forEach(({ id }) => {
+    const job = jobs.get(id);
+    job.urls
+      .filter(({ url }) => !job.outcomes.has(url))
+      .forEach(({ url }) => {
+        const versions = getVersions(url);
+        const current = versions && versions.versions.find(({ version }) => version === versions.currentVersion);
+        if (current && current.createdAt >= job.createdAt && current.thumbnails.length) {
+          const { thumbnails } = current;
+          recordOutcome(job, url, 'opened', { url, thumbURL: thumbnails[0].url, thumbnails });
+        }
+      });
+    queuedJobs.push(job);
+  });
+
+  if (unfinishedJobs.length) {
+    logger.info(`Resuming ${unfinishedJobs.length} unfinished job(s)`);
+  }
+  runNextJob();
+}
+
+/**
+ * @returns {{ queuedJobs: number, queuedUrls: number, chromeInstances: number }}
+ */
+function getQueueStats() {
+  const countUnattempted = job => job.urls.filter(({ url }) => !job.outcomes.has(url)).length;
+  const jobsWithUrls = runningJob ? [runningJob, ...queuedJobs] : queuedJobs;
+  return {
+    queuedJobs: queuedJobs.length,
+    queuedUrls: jobsWithUrls.reduce((total, job) => total + countUnattempted(job), 0),
+    chromeInstances: browserPool ? browserPool.countRunning() : 0,
+  };
+}
+
+function getBrowserPool() {
+  if (!browserPool) {
+    browserPool = createBrowserPool({
+      size: maxChromeInstances,
+      recycleAfterProjects: settings.recycleChromeAfterProjects,
+      maxHeapSizeMB: settings.maxChromeHeapSizeMB,
+      launchPage,
+      resetPage,
+    });
+  }
+  return browserPool;
+}
+
+/**
+ * Launch Chrome instances ahead of the first job
+ */
+function warmUpBrowsers() {
+  return getBrowserPool().warmUp();
+}
+
+/**
+ * Close every Chrome instance while a callback runs, e.g. so files Chrome
+ * uses can be deleted, unless a job is running. Jobs wait for it to finish,
+ * and instances that were running are launched again afterwards
+ * @param {function} callback - async () => result
+ * @returns {Promise<*>} What the callback returned, or null if a job is running
+ */
+async function whileBrowsersClosed(callback) {
+  if (runningJob || browserPause) return null;
+
+  const wasWarm = Boolean(browserPool) && !browserPool.isIdle();
+  browserPause = closeBrowsers().then(callback);
+  try {
+    return await browserPause;
+  } finally {
+    browserPause = null;
+    if (wasWarm) warmUpBrowsers();
+    runNextJob();
+  }
+}
+
+/**
+ * Close every Chrome instance, e.g. before exiting. They're relaunched if
+ * another job runs
+ */
+async function closeBrowsers() {
+  if (browserPool) await browserPool.close();
+}
+
+function createJob({
+  id, createdAt, urls, callbackUrl, projectOptions = {}, owner, status = 'queued', startedAt, finishedAt, error,
+}) {
+  return {
+    id,
+    owner,
+    callbackUrl,
+    projectOptions,
+    status,
+    createdAt,
+    startedAt,
+    finishedAt,
+    error,
+    urls,
+    // Status of each URL, e.g. queued, preloading, opening, opened
+    progress: new Map(urls.map(({ url }) => [url, 'queued'])),
+    // Final result of each URL that has been attempted
+    outcomes: new Map(),
+    // Emits 'event' for everything that happens to the job, see emitJobEvent()
+    events: new EventEmitter(),
+  };
+}
+
+/**
+ * Notify any listeners (e.g. Server-Sent Events clients) of job progress
+ * @param {object} job
+ * @param {string} type - started, finished, or a URL status like preloaded or thumbnailSaved
+ * @param {object} data
+ */
+function emitJobEvent(job, type, data = {}) {
+  job.events.emit('event', { type, jobID: job.id, time: new Date().toISOString(), ...data });
+}
+
+function recordOutcome(job, url, status, project) {
+  // Index is only used for logging
+  const { index, ...projectData } = project;
+  job.progress.set(url, status);
+  job.outcomes.set(url, project);
+  appendRecord({ type: 'outcome', id: job.id, url, status, project: projectData });
+  storeResult(url, job.id, status, projectData, job.owner);
+  metrics.countOutcome(status, projectData.error);
+
+  if (job.callbackUrl && projectData.thumbURL) {
+    sendWebhook(job.callbackUrl, 'project.thumbnail', { jobID: job.id, project: projectData });
+  }
+}
+
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Stop a job. A queued job is dropped. A running job stops starting new
+ * projects, and the projects already open are finished.
+ * Every URL that wasn't attempted is reported as CANCELLED.
+ * @param {object} job
+ * @returns {Promise<object>} job, with partial results, once it has stopped
+ */
+async function cancelJob(job) {
+  if (job.finishedAt) return job;
+
+  job.isCancelling = true;
+  if (job.status === 'queued') {
+    queuedJobs.splice(queuedJobs.indexOf(job), 1);
+    job.urls
+      .filter(({ url }) => !job.outcomes.has(url))
+      .forEach(({ url }) => recordOutcome(job, url, 'unopened', { url, error: new ExtractionError('CANCELLED') }));
+    job.result = { result: 'Cancelled before starting', ...combineResults(job) };
+    finishJob(job, 'cancelled');
+  } else {
+    job.cancel();
+    await job.running;
+  }
+  return job;
+}
+
+/**
+ * How many jobs will run before this one (0 = running next)
+ * @param {object} job
+ * @returns {number}
+ */
+function getQueuePosition(job) {
+  return queuedJobs.indexOf(job);
+}
+
+/**
+ * @param {string} owner - Name of an API key
+ * @returns {number} How many of its jobs are queued or running
+ */
+function countActiveJobs(owner) {
+  return [runningJob, ...queuedJobs].filter(job => job && job.owner === owner).length;
+}
+
+/**
+ * @returns {string[]} IDs of the jobs that are queued or running
+ */
+function getActiveJobIDs() {
+  return [runningJob, ...queuedJobs].filter(Boolean).map(({ id }) => id);
+}
+
+function runNextJob() {
+  if (runningJob || browserPause || !queuedJobs.length) return;
+
+  const job = queuedJobs.shift();
+  runningJob = job;
+  Object.assign(job, { status: 'running', startedAt: job.startedAt || new Date().toISOString() });
+  appendRecord({ type: 'started', id: job.id });
+  emitJobEvent(job, 'started');
+
+  job.running = runJob(job)
+    .then((result) => {
+      job.result = result;
+      finishJob(job, job.isCancelling ? 'cancelled' : 'done');
+    })
+    .catch((err) => {
+      logger.error({ jobID: job.id, err }, 'Job failed');
+      job.error = formatError(err);
+      finishJob(job, 'failed');
+    })
+    .then(() => {
+      closeJobLog(job.id);
+      runningJob = null;
+      runNextJob();
+    });
+}
+
+function finishJob(job, status) {
+  Object.assign(job, { status, finishedAt: new Date().toISOString() });
+  appendRecord({
+    type: 'finished',
+    id: job.id,
+    status: job.status,
+    result: job.result && job.result.result,
+    error: job.error,
+  });
+  emitJobEvent(job, 'finished', { status: job.status, error: job.error });
+  if (job.callbackUrl) {
+    const { id: jobID, result, error } = job;
+    sendWebhook(job.callbackUrl, 'job.finished', { jobID, status, result, error });
+  }
+  pruneFinishedJobs();
+}
+
+function pruneFinishedJobs() {
+  const finishedJobs = [...jobs.values()].filter(({ finishedAt }) => finishedAt);
+  finishedJobs
+    .slice(0, Math.max(0, finishedJobs.length - maxFinishedJobs))
+    .forEach(({ id }) => jobs.delete(id));
+}
+
+async function runJob(job) {
+  // Skip URLs that were already attempted before a restart
+  const urls = job.urls.filter(({ url }) => !job.outcomes.has(url));
+
+  const startTime = Date.now();
+
+  // Logs are tagged with the job, and each Chrome instance's with its ID.
+  // See GET /jobs/:id/logs
+  const jobLogger = openJobLog(job.id);
+  const getLog = instanceID => toLogFunction(jobLogger.child({ instanceID }));
+
+  const onProgress = (url, status, details = {}, instanceID) => {
+    if (resultKeys[status]) recordOutcome(job, url, status, details);
+    else job.progress.set(url, status);
+
+    const { index, error, ...eventData } = details;
+    if (error) eventData.error = toExtractionError(error, 'UNKNOWN').toJSON();
+    emitJobEvent(job, status, { ...eventData, url, instanceID });
+
+    if (resultKeys[status]) {
+      const errorCode = eventData.error && eventData.error.code;
+      jobLogger[errorCode ? 'warn' : 'info']({ instanceID, url, stage: 'outcome', status, errorCode }, `Project ${status}`);
+    }
+  };
+
+  const { batchTimeoutMs = settings.batchTimeoutMs, mode = 'thumbnail', ...projectOptions } = job.projectOptions;
+
+  // Metadata can be read without opening BFDs in Chrome
+  const extract = mode === 'metadata' ? extractMetadata : extractData;
+  jobLogger.info(mode === 'metadata'
+    ? `Parsing ${urls.length} BFD(s)`
+    : `Processing ${urls.length} BFD(s) with up to ${maxChromeInstances} Chrome instance(s)`);
+
+  // Never wait longer than a few minutes
+  const forceTerminate = {};
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    metrics.countBatchTimeout();
+    forceTerminate.exit();
+  }, batchTimeoutMs);
+
+  // See cancelJob()
+  job.cancel = () => forceTerminate.cancel();
+
+  const result = await extract(urls, {
+    pool: getBrowserPool(),
+    storage: getThumbnailStorage(),
+    getLog,
+    onProgress,
+    forceTerminate,
+    ...projectOptions,
+  }).then(({ result: resultText }) => {
+    // Include results from before a restart
+    return { result: resultText, ...combineResults(job) };
+  }).finally(() => {
+    clearTimeout(timeout);
+  });
+
+  if (timedOut) {
+    result.result = 'Timed out. ' + result.result;
+  } else if (job.isCancelling) {
+    result.result = 'Cancelled. ' + result.result;
+  }
+
+  jobLogger.info({ durationMs: Date.now() - startTime }, result.result);
+
+  // Add missing fonts to CSV
+  const fontsCsvPath = getResultsPath('missing-fonts.csv');
+  let fonts = [];
+  result.fontSwapProjects.forEach(({ fontsToSwap }) => {
+    fonts = [...fonts, ...fontsToSwap];
+  });
+  if (fonts.length) fs.appendFileSync(fontsCsvPath, fonts.join('\n') + '\n');
+
+  // Add transparency mismatches to CSV
+  // This is when thumb transparency doesn't match project
+  const transparencyCsvPath = getResultsPath('transparency-mismatches.csv');
+  const transparencyMismatches = [];
+  result.openedProjects
+    .forEach((project) => {
+      if (project.transparencyMismatch) {
+        transparencyMismatches.push(project.thumbURL);
+      }
+      delete project.transparencyMismatch;
+    });
+  if (transparencyMismatches.length) fs.appendFileSync(transparencyCsvPath, transparencyMismatches.join('\n') + '\n');
+
+  return result;
+}
+
+/**
+ * Group project outcomes from every Chrome instance (including any from before
+ * a restart) into the lists returned to the caller
+ * @param {object} job
+ * @returns {object}
+ */
+function combineResults(job) {
+  const combinedResults = {
+    openedProjects: [],
+    missingProjects: [],
+    fontSwapProjects: [],
+    unopenedProjects: [],
+  };
+  job.urls.forEach(({ url }) => {
+    const status = job.progress.get(url);
+    if (job.outcomes.has(url)) combinedResults[resultKeys[status]].push(job.outcomes.get(url));
+  });
+  return combinedResults;
+}
+
+function formatError(err) {
+  return String(err && err.message || err);
+}
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+const { getResultsPath } = require('./settings');
+const { logger } = require('./logger');
+
+// A JSON object kept in memory, loaded from a file in resultsFolder on first use
+// and written back (atomically, via a temporary file) when it changes. Used
+// for the result & text indexes, the thumbnail manifest and API key usage.
+// Every store, so pending writes can be flushed before exiting
+const stores = [];
+
+module.exports = { createJsonStore, flushJsonStores };
+
+/**
+ * @param {string} fileName - e.g. index.json
+ * @param {object} options
+ * @param {string} options.description - e.g. result index, for errors
+ * @param {number} [options.saveDelayMs] - Batch up writes made within this long of each other. 0 to write straight away
+ * @returns {{ get: function, save: function, flush: function }}
+ */
+function createJsonStore(fileName, { description, saveDelayMs = 0 }) {
+  const filePath = getResultsPath(fileName);
+  let data = null;
+  let saveTimeout = null;
+
+  const store = {
+    /**
+     * @returns {object} The stored object, which can be changed in place before calling save()
+     */
+    get() {
+      if (!data) {
+        try {
+          data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+          if (err.code !== 'ENOENT') logger.error({ err }, `Unable to read ${description}`);
+          data = {};
+        }
+      }
+      return data;
+    },
+
+    save() {
+      if (!saveDelayMs) {
+        write();
+      } else if (!saveTimeout) {
+        saveTimeout = setTimeout(write, saveDelayMs);
+      }
+    },
+
+    // Write now, if there's a write waiting
+    flush() {
+      if (saveTimeout) write();
+    },
+  };
+  stores.push(store);
+  return store;
+
+  function write() {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+}
+
+/**
+ * Write every store that has a write waiting, e.g. before exiting
+ */
+function flushJsonStores() {
+  stores.forEach(store => store.flush());
+}
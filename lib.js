@@ -1,4 +1,4 @@
-module.exports = { randomAlphaString }
+module.exports = { randomAlphaString, getBfdFileName, getThumbnailFileName, getStoredFileName }
 
 function randomAlphaString(length) {
   let result = '';
@@ -8,4 +8,44 @@ function randomAlphaString(length) {
     result += characters.charAt(Math.floor(Math.random() * charactersLength));
   }
   return result;
-}
\ No newline at end of file
+}
+
+/**
+ * File name of a BFD, without the URL's query string (e.g. a signed URL's)
+ * @param {string} bfdUrl
+ * @returns {string}
+ */
+function getBfdFileName(bfdUrl) {
+  return bfdUrl.split(/[?#]/)[0].split('/').pop();
+}
+
+/**
+ * Name of the thumbnail file generated for a BFD
+ * @param {string} bfdUrl
+ * @param {string} extension - jpg, png or webp
+ * @param {string} [renditionName] - e.g. 240-square (omitted for default thumbnail)
+ * @param {number} [version] - See thumbnail-versions.js
+ * @returns {string}
+ */
+function getThumbnailFileName(bfdUrl, extension, renditionName, version = 1) {
+  const bfdFileName = getBfdFileName(bfdUrl);
+  const suffix = renditionName ? `_${renditionName}` : '';
+  return bfdFileName.replace(/\.bfd/, `.bfd_thumb_v${version}${suffix}.${extension}`);
+}
+
+/**
+ * File name a thumbnail is stored as (its URL may be percent-encoded, e.g. by
+ * S3 storage). Thumbnails recorded before the file name was kept with them
+ * only have their URL
+ * @param {{ fileName?: string, url: string }} thumbnail
+ * @returns {string}
+ */
+function getStoredFileName({ fileName, url }) {
+  if (fileName) return fileName;
+  const lastSegment = url.split(/[?#]/)[0].split('/').pop();
+  try {
+    return decodeURIComponent(lastSegment);
+  } catch (err) {
+    return lastSegment;
+  }
+}
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+
+const { settings, getResultsPath } = require('./settings');
+const { randomAlphaString } = require('./lib');
+
+// BFDs on the server's disk (uploads, or files in localBfdFolder) are given
+// URLs on the app's domain, under a prefix that never reaches the network:
+// Chrome's requests for them are answered from disk, see routeLocalFiles().
+// So they go through the same pipeline as any other BFD URL.
+const urlPrefix = `https://${settings.domain}/__local__/`;
+
+const uploadsFolder = getResultsPath('uploads');
+
+// Folders that local BFD URLs can point into, by the name used in the URL
+const folders = {
+  uploads: uploadsFolder,
+  files: settings.localBfdFolder && path.resolve(settings.localBfdFolder),
+};
+
+module.exports = {
+  getLocalFileUrl, getLocalFilePath, routeLocalFiles, saveUpload, canUseLocalFiles, uploadsFolder,
+};
+
+function canUseLocalFiles() {
+  return Boolean(folders.files);
+}
+
+/**
+ * Get the URL of a BFD in localBfdFolder
+ * @param {string} relativePath - Relative to localBfdFolder
+ * @returns {string|undefined} Nothing if the path isn't a BFD in the folder
+ */
+function getLocalFileUrl(relativePath) {
+  return toUrl('files', relativePath);
+}
+
+/**
+ * Get the file that a local BFD URL points to
+ * @param {string} url
+ * @returns {string|undefined} Absolute path, or nothing if it isn't a local BFD URL
+ */
+function getLocalFilePath(url) {
+  if (!url.startsWith(urlPrefix)) return;
+
+  const [folderName, ...segments] = url.slice(urlPrefix.length).split(/[?#]/)[0].split('/');
+  const folder = folders[folderName];
+  if (!folder) return;
+
+  let relativePath;
+  try {
+    relativePath = segments.map(decodeURIComponent).join('/');
+  } catch (err) {
+    return;
+  }
+  return resolveInFolder(folder, relativePath);
+}
+
+/**
+ * Answer Chrome's requests for local BFD URLs from disk
+ * @param {object} context - Playwright browser context
+ */
+async function routeLocalFiles(context) {
+  await context.route(`${urlPrefix}**`, (route) => {
+    const filePath = getLocalFilePath(route.request().url());
+    if (!filePath || !fs.existsSync(filePath)) {
+      return route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not found' });
+    }
+    return route.fulfill({ path: filePath });
+  });
+}
+
+/**
+ * Save an uploaded BFD
+ * @param {stream.Readable} file
+ * @param {string} fileName - As uploaded, e.g. template.bfd
+ * @returns {Promise<string>} URL of the saved BFD
+ */
+function saveUpload(file, fileName) {
+  // Prefixed so uploads with the same name don't overwrite each other
+  const safeName = `${randomAlphaString(8)}-${path.basename(fileName).replace(/[^\w.-]/g, '_')}`;
+  const filePath = path.join(uploadsFolder, safeName);
+
+  return new Promise((resolve, reject) => {
+    fs.mkdirSync(uploadsFolder, { recursive: true });
+    pipeline(file, fs.createWriteStream(filePath), (err) => {
+      if (err) return reject(err);
+      if (file.truncated) {
+        fs.unlink(filePath, () => { });
+        return reject(new Error(`${fileName} is too large`));
+      }
+      resolve(toUrl('uploads', safeName));
+    });
+  });
+}
+
+function toUrl(folderName, relativePath) {
+  const filePath = resolveInFolder(folders[folderName], relativePath);
+  if (!filePath || !filePath.endsWith('.bfd') || !fs.existsSync(filePath)) return;
+
+  const segments = path.relative(folders[folderName], filePath).split(path.sep);
+  return `${urlPrefix}${folderName}/${segments.map(encodeURIComponent).join('/')}`;
+}
+
+// Don't allow paths like ../../etc/passwd
+function resolveInFolder(folder, relativePath) {
+  if (!folder) return;
+  const filePath = path.resolve(folder, relativePath);
+  if (!filePath.startsWith(folder + path.sep)) return;
+  return filePath;
+}
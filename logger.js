@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const pino = require('pino');
+
+const { settings, getLogsPath } = require('./settings');
+
+// One pino logger for the server (fastify's requests) and jobs. Records are
+// JSON lines on stdout; those from a job's logger (which have a jobID) are
+// also appended to <logsFolder>/<jobID>.jsonl, so a job's logs can be read
+// back without searching through everything else.
+
+// Open job log files, by job ID
+const jobLogFiles = new Map();
+
+const destination = {
+  write(line) {
+    process.stdout.write(line);
+    if (!jobLogFiles.size || !line.includes('"jobID"')) return;
+
+    let jobID;
+    try {
+      ({ jobID } = JSON.parse(line));
+    } catch (err) {
+      return;
+    }
+    const file = jobLogFiles.get(jobID);
+    if (file) file.write(line);
+  },
+};
+
+const logger = pino({ level: settings.logLevel }, destination);
+
+module.exports = { logger, openJobLog, closeJobLog, readJobLog, toLogFunction };
+
+/**
+ * Start saving a job's log records (appending, if the job is resumed)
+ * @param {string} jobID
+ * @returns {object} pino logger for the job
+ */
+function openJobLog(jobID) {
+  if (!jobLogFiles.has(jobID)) {
+    fs.mkdirSync(getLogsPath(), { recursive: true });
+    jobLogFiles.set(jobID, fs.createWriteStream(getJobLogPath(jobID), { flags: 'a' }));
+  }
+  return logger.child({ jobID });
+}
+
+/**
+ * @param {string} jobID
+ */
+function closeJobLog(jobID) {
+  const file = jobLogFiles.get(jobID);
+  if (!file) return;
+  jobLogFiles.delete(jobID);
+  file.end();
+}
+
+/**
+ * Read back a job's log records
+ * @param {string} jobID
+ * @param {object} [filter]
+ * @param {string} [filter.url] - Only records about this BFD
+ * @returns {Promise<object[]>} Records, oldest first
+ */
+async function readJobLog(jobID, { url } = {}) {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(getJobLogPath(jobID), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const records = [];
+  contents.split('\n').forEach((line) => {
+    try {
+      const record = JSON.parse(line);
+      if (!url || record.url === url) records.push(record);
+    } catch (err) {
+      // Blank line, or the last line is still being written
+    }
+  });
+  return records;
+}
+
+/**
+ * Wrap a pino logger as a log(...args) function, as passed to extractData().
+ * Arguments are formatted like console.log(), after an optional object of
+ * fields for the record, e.g. log({ url, stage: 'open', durationMs }, 'Opened')
+ * (its level, if any, is used as the record's level)
+ * @param {object} childLogger
+ * @returns {function}
+ */
+function toLogFunction(childLogger) {
+  return (...args) => {
+    const { level = 'info', ...fields } = isFields(args[0]) ? args.shift() : {};
+    childLogger[level](fields, util.format(...args));
+  };
+}
+
+function isFields(value) {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function getJobLogPath(jobID) {
+  return getLogsPath(`${path.basename(jobID)}.jsonl`);
+}
@@ -0,0 +1,123 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served by GET /metrics. Counters & histograms are
+// updated as projects are extracted; gauges are set when metrics are scraped.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'bfd_' });
+
+const projects = new client.Counter({
+  name: 'bfd_projects_total',
+  help: 'Projects extracted, by outcome (opened, missing, fontSwap or unopened)',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+const projectErrors = new client.Counter({
+  name: 'bfd_project_errors_total',
+  help: 'Projects that were missing or unopened, by error code',
+  labelNames: ['code'],
+  registers: [register],
+});
+
+const projectRetries = new client.Counter({
+  name: 'bfd_project_retries_total',
+  help: 'Project attempts that failed for a transient reason and were retried, by error code',
+  labelNames: ['code'],
+  registers: [register],
+});
+
+const batchTimeouts = new client.Counter({
+  name: 'bfd_batch_timeouts_total',
+  help: 'Jobs that took longer than batchTimeoutMs',
+  registers: [register],
+});
+
+// preload: downloading the BFD in the page (or server, in metadata mode),
+// open: until the app has finished loading the project, fontSwap: until
+// swapped fonts have loaded, render: generating thumbnails, download: saving them
+const stageDuration = new client.Histogram({
+  name: 'bfd_stage_duration_seconds',
+  help: 'Time taken by each stage of extracting a project',
+  labelNames: ['stage'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+  registers: [register],
+});
+
+const bfdSize = new client.Histogram({
+  name: 'bfd_size_bytes',
+  help: 'Size of BFDs downloaded',
+  buckets: client.exponentialBuckets(10 * 1024, 4, 8), // 10KB to 160MB
+  registers: [register],
+});
+
+const queuedJobs = new client.Gauge({
+  name: 'bfd_queued_jobs',
+  help: 'Jobs waiting for the running job to finish',
+  registers: [register],
+});
+
+const queuedUrls = new client.Gauge({
+  name: 'bfd_queued_urls',
+  help: 'URLs not yet finished, in the running job and queued jobs',
+  registers: [register],
+});
+
+const chromeInstances = new client.Gauge({
+  name: 'bfd_chrome_instances',
+  help: 'Chrome instances that are running',
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  countOutcome,
+  countRetry,
+  countBatchTimeout,
+  observeStage,
+  observeBfdSize,
+  setQueueStats,
+};
+
+/**
+ * @param {string} outcome - opened, missing, fontSwap or unopened
+ * @param {object} [error] - Project's error, if any
+ */
+function countOutcome(outcome, error) {
+  projects.inc({ outcome });
+  if (error) projectErrors.inc({ code: error.code || 'UNKNOWN' });
+}
+
+/**
+ * @param {object} error - Why the attempt failed
+ */
+function countRetry(error) {
+  projectRetries.inc({ code: (error && error.code) || 'UNKNOWN' });
+}
+
+function countBatchTimeout() {
+  batchTimeouts.inc();
+}
+
+/**
+ * @param {string} stage - preload, open, fontSwap, render or download
+ * @param {number} timeMs
+ */
+function observeStage(stage, timeMs) {
+  stageDuration.observe({ stage }, timeMs / 1000);
+}
+
+/**
+ * @param {number} bytes
+ */
+function observeBfdSize(bytes) {
+  bfdSize.observe(bytes);
+}
+
+/**
+ * @param {{ queuedJobs: number, queuedUrls: number, chromeInstances: number }} stats
+ */
+function setQueueStats(stats) {
+  queuedJobs.set(stats.queuedJobs);
+  queuedUrls.set(stats.queuedUrls);
+  chromeInstances.set(stats.chromeInstances);
+}
@@ -0,0 +1,34 @@
+const { createJsonStore } = require('./json-store');
+
+// The last successful extraction of each BFD, keyed by URL, so unchanged BFDs
+// (same content hash) don't need to be opened again
+const index = createJsonStore('index.json', { description: 'result index', saveDelayMs: 1000 });
+
+module.exports = { findResult, saveResult };
+
+/**
+ * Get the stored result for a BFD, if its content and extraction options
+ * haven't changed since
+ * @param {string} url
+ * @param {string} contentHash
+ * @param {string} optionsKey - Identifies options that affect the result, e.g. renditions
+ * @returns {{ status: string, project: object }|undefined}
+ */
+function findResult(url, contentHash, optionsKey) {
+  const entry = index.get()[url];
+  if (!entry || entry.contentHash !== contentHash || entry.optionsKey !== optionsKey) return;
+  return { status: entry.status, project: entry.project };
+}
+
+/**
+ * Store the result of a successful extraction
+ * @param {string} url
+ * @param {string} contentHash
+ * @param {string} optionsKey
+ * @param {string} status - opened or fontSwap
+ * @param {object} project
+ */
+function saveResult(url, contentHash, optionsKey, status, project) {
+  index.get()[url] = { contentHash, optionsKey, status, project, savedAt: new Date().toISOString() };
+  index.save();
+}
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+const { getResultsPath } = require('./settings');
+const { logger } = require('./logger');
+
+// Every extraction result, one JSON object per line, oldest first. Unlike the
+// job journal it's never compacted, so it's a history of each BFD's outcomes.
+const storePath = getResultsPath('results.jsonl');
+fs.mkdirSync(path.dirname(storePath), { recursive: true });
+
+// Columns when exported as CSV
+const csvColumns = [
+  'recordedAt', 'url', 'jobID', 'owner', 'status', 'errorCode', 'errorMessage', 'cached', 'contentHash', 'sizeInKB',
+  'thumbURL', 'projectWidth', 'projectHeight', 'sectionID', 'version', 'sourceTemplateID', 'text',
+];
+
+// Records by URL, loaded on first use
+let recordsByUrl = null;
+
+module.exports = { storeResult, getLatestResult, getResultHistory, exportResults };
+
+/**
+ * Save the outcome of extracting a BFD
+ * @param {string} url
+ * @param {string|null} jobID - null for CLI runs
+ * @param {string} status - opened, fontSwap, missing or unopened
+ * @param {object} project
+ * @param {string} [owner] - Name of the API key the job was submitted with
+ */
+function storeResult(url, jobID, status, project, owner) {
+  // Load existing records first, so this one isn't read back in as well
+  getRecords();
+
+  const line = JSON.stringify({ recordedAt: new Date().toISOString(), url, jobID, owner, status, project });
+  fs.appendFileSync(storePath, line + '\n');
+  addRecord(JSON.parse(line));
+}
+
+/**
+ * @param {string} url
+ * @param {function} [isVisible] - (record) => boolean, e.g. whether the API key asking can see it
+ * @returns {object|undefined} { recordedAt, url, jobID, owner, status, project }
+ */
+function getLatestResult(url, isVisible) {
+  return getResultHistory(url, isVisible)[0];
+}
+
+/**
+ * @param {string} url
+ * @param {function} [isVisible] - (record) => boolean
+ * @returns {object[]} Records, newest first
+ */
+function getResultHistory(url, isVisible = () => true) {
+  return (getRecords().get(url) || []).filter(isVisible).reverse();
+}
+
+/**
+ * Write every record (or the latest for each URL) to a stream
+ * @param {stream.Writable} stream
+ * @param {object} options
+ * @param {string} options.format - ndjson or csv
+ * @param {boolean} [options.latestOnly]
+ * @param {string} [options.since] - ISO date, only records after this are exported
+ * @param {function} [options.isVisible] - (record) => boolean, only these records are exported
+ */
+function exportResults(stream, { format, latestOnly = false, since, isVisible = () => true }) {
+  let records = [];
+  getRecords().forEach((urlRecords) => {
+    const visibleRecords = urlRecords.filter(isVisible);
+    records.push(...(latestOnly ? visibleRecords.slice(-1) : visibleRecords));
+  });
+  if (since) records = records.filter(({ recordedAt }) => recordedAt > since);
+  records.sort((a, b) => (a.recordedAt < b.recordedAt ? -1 : 1));
+
+  if (format === 'csv') {
+    stream.write(csvColumns.join(',') + '\n');
+    records.forEach(record => stream.write(toCsvRow(record) + '\n'));
+  } else {
+    records.forEach(record => stream.write(JSON.stringify(record) + '\n'));
+  }
+  stream.end();
+}
+
+function toCsvRow({ project = {}, ...record }) {
+  const { error = {} } = project;
+  const values = {
+    ...project,
+    ...record,
+    errorCode: error.code,
+    errorMessage: error.message,
+    text: project.text && decodeURIComponent(project.text),
+  };
+  return csvColumns.map(column => toCsvValue(values[column])).join(',');
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const string = String(value);
+  return /[",\n\r]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+}
+
+function addRecord(record) {
+  const records = recordsByUrl.get(record.url) || [];
+  records.push(record);
+  recordsByUrl.set(record.url, records);
+}
+
+function getRecords() {
+  if (!recordsByUrl) {
+    recordsByUrl = new Map();
+    let lines = [];
+    try {
+      lines = fs.readFileSync(storePath, 'utf8').split('\n');
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error({ err }, 'Unable to read result store');
+    }
+    lines.forEach((line) => {
+      try {
+        addRecord(JSON.parse(line));
+      } catch (err) {
+        // Blank line, or the last line was only partially written
+      }
+    });
+  }
+  return recordsByUrl;
+}
@@ -0,0 +1,58 @@
+const fs = require('fs');
+
+const { getResultsPath } = require('./settings');
+
+// Only one process at a time can use the results folder: the indexes and
+// manifest in it are kept in memory and written back whole, so a second
+// process (e.g. the CLI while the server is running) would overwrite the
+// other's changes. The lock file names the process holding it, and is removed
+// when that process exits.
+const lockPath = getResultsPath('.lock');
+
+module.exports = { lockResultsFolder };
+
+/**
+ * Take the results folder for this process
+ * @param {string} description - What this process is, e.g. the server, for errors in other processes
+ * @throws {Error} If another running process holds it
+ */
+function lockResultsFolder(description) {
+  const lock = JSON.stringify({ pid: process.pid, description, lockedAt: new Date().toISOString() });
+  fs.mkdirSync(getResultsPath(), { recursive: true });
+  try {
+    fs.writeFileSync(lockPath, lock, { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+
+    const holder = readLock();
+    if (holder && holder.pid !== process.pid && isRunning(holder.pid)) {
+      throw new Error(`${getResultsPath()} is in use by ${holder.description} (process ${holder.pid}). `
+        + 'Stop it first, or set BFD_RESULTS_FOLDER to another folder');
+    }
+    // Left behind by a process that didn't exit cleanly
+    fs.writeFileSync(lockPath, lock);
+  }
+
+  process.on('exit', () => {
+    const holder = readLock();
+    if (holder && holder.pid === process.pid) fs.unlinkSync(lockPath);
+  });
+}
+
+function readLock() {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: running, as another user
+    return err.code === 'EPERM';
+  }
+}
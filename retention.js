@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+
+const { settings, getLogsPath } = require('./settings');
+const { logger } = require('./logger');
+const { getThumbnailStorage } = require('./thumbnail-storage');
+const { getPinnedFiles, forgetFiles } = require('./thumbnail-versions');
+const { cacheDirectory } = require('./extract-data');
+const { uploadsFolder } = require('./local-files');
+const { getActiveJobIDs, whileBrowsersClosed } = require('./job-queue');
+
+// Everything the server writes to disk (or S3) that grows without bound. Each
+// area has a policy, from the <area>MaxAgeDays, <area>MaxCount and
+// <area>MaxSizeMB settings (0 for no limit): files over the age limit are
+// deleted, then the oldest files until the area is within its count and size.
+// An area can protect files that are in use, or only be swept while nothing
+// else uses it (and be skipped if that's not possible).
+const areas = {
+  thumbnails: {
+    settingsPrefix: 'thumbnail',
+    getLocation: () => {
+      const storage = getThumbnailStorage();
+      return storage.isLocal ? storage.folder : storage.getUrl('');
+    },
+    list: () => getThumbnailStorage().list(),
+    delete: fileName => getThumbnailStorage().delete(fileName),
+    // Pinned thumbnails are only deleted explicitly, with DELETE /thumbnails/:file
+    getProtectedFiles: () => getPinnedFiles(),
+    onDeleted: fileNames => forgetFiles(fileNames),
+  },
+  logs: {
+    ...createFolderArea('log', getLogsPath()),
+    // Logs of queued and running jobs are still being written to
+    getProtectedFiles: () => new Set(getActiveJobIDs().map(jobID => `${jobID}.jsonl`)),
+  },
+  chromeCache: {
+    ...createFolderArea('chromeCache', path.resolve(cacheDirectory)),
+    // Chrome's files can't be deleted from under it, so it's closed while
+    // they're deleted, unless a job is running (while it's running it keeps
+    // the cache within chromeCacheMaxSizeMB itself, see extract-data.js)
+    runExclusively: deleteExpired => whileBrowsersClosed(deleteExpired),
+  },
+  uploads: createFolderArea('upload', uploadsFolder),
+};
+
+const dayMs = 1000 * 60 * 60 * 24;
+
+let sweepTimer = null;
+let sweeping = null;
+let lastSweep = null;
+
+module.exports = { startSweeper, sweep, getStorageReport, deleteThumbnail };
+
+/**
+ * Apply retention policies every retentionSweepIntervalMinutes (unless 0),
+ * starting now
+ */
+function startSweeper() {
+  const intervalMinutes = settings.retentionSweepIntervalMinutes;
+  if (!intervalMinutes || sweepTimer) return;
+
+  const runSweep = () => sweep().catch(err => logger.error({ err }, 'Retention sweep failed'));
+  sweepTimer = setInterval(runSweep, intervalMinutes * 60 * 1000);
+  sweepTimer.unref();
+  runSweep();
+}
+
+/**
+ * Apply every area's retention policy. Overlapping calls share one sweep
+ * @returns {Promise<object>} { startedAt, finishedAt, areas: { [area]: { deletedCount, deletedBytes } } }
+ */
+function sweep() {
+  if (!sweeping) {
+    sweeping = sweepAreas().finally(() => {
+      sweeping = null;
+    });
+  }
+  return sweeping;
+}
+
+async function sweepAreas() {
+  const result = { startedAt: new Date().toISOString(), areas: {} };
+  for (const [name, area] of Object.entries(areas)) {
+    result.areas[name] = await sweepArea(name, area).catch((err) => {
+      logger.error({ err }, `Unable to sweep ${name}`);
+      return { deletedCount: 0, deletedBytes: 0, error: err.message };
+    });
+  }
+  result.finishedAt = new Date().toISOString();
+
+  const deletedCount = Object.values(result.areas).reduce((total, { deletedCount }) => total + deletedCount, 0);
+  if (deletedCount) logger.info({ areas: result.areas }, `Retention sweep deleted ${deletedCount} file(s)`);
+  lastSweep = result;
+  return result;
+}
+
+async function sweepArea(name, area) {
+  const { maxAgeDays, maxCount, maxSizeMB } = getPolicy(area);
+  if (!maxAgeDays && !maxCount && !maxSizeMB) return { deletedCount: 0, deletedBytes: 0 };
+
+  const protectedFiles = area.getProtectedFiles ? area.getProtectedFiles() : new Set();
+  const files = (await area.list())
+    .filter(({ name: fileName }) => !protectedFiles.has(fileName))
+    .sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+  // Files to delete, oldest first
+  const minModifiedAt = maxAgeDays && Date.now() - maxAgeDays * dayMs;
+  let remainingCount = files.length + protectedFiles.size;
+  let remainingBytes = files.reduce((total, { size }) => total + size, 0);
+  const expired = files.filter((file) => {
+    const isExpired = (minModifiedAt && file.modifiedAt < minModifiedAt)
+      || (maxCount && remainingCount > maxCount)
+      || (maxSizeMB && remainingBytes > maxSizeMB * 1024 * 1024);
+    if (isExpired) {
+      remainingCount--;
+      remainingBytes -= file.size;
+    }
+    return isExpired;
+  });
+  if (!expired.length) return { deletedCount: 0, deletedBytes: 0 };
+  if (!area.runExclusively) return deleteFiles(name, area, expired);
+
+  const result = await area.runExclusively(() => deleteFiles(name, area, expired));
+  return result || { deletedCount: 0, deletedBytes: 0, skipped: 'In use' };
+}
+
+async function deleteFiles(name, area, files) {
+  const deleted = [];
+  for (const file of files) {
+    try {
+      await area.delete(file.name);
+      deleted.push(file);
+    } catch (err) {
+      logger.warn({ err }, `Unable to delete ${file.name} from ${name}`);
+    }
+  }
+  if (deleted.length && area.onDeleted) area.onDeleted(deleted.map(file => file.name));
+
+  return { deletedCount: deleted.length, deletedBytes: deleted.reduce((total, { size }) => total + size, 0) };
+}
+
+/**
+ * Current usage of each area, and its policy
+ * @returns {Promise<object>} { areas: { [area]: { location, fileCount, sizeInBytes, oldestAt, newestAt, policy } }, lastSweep }
+ */
+async function getStorageReport() {
+  const report = { areas: {}, lastSweep };
+  for (const [name, area] of Object.entries(areas)) {
+    const usage = { location: area.getLocation(), policy: getPolicy(area) };
+    try {
+      const files = await area.list();
+      const dates = files.map(({ modifiedAt }) => modifiedAt.getTime());
+      Object.assign(usage, {
+        fileCount: files.length,
+        sizeInBytes: files.reduce((total, { size }) => total + size, 0),
+        oldestAt: files.length ? new Date(Math.min(...dates)).toISOString() : null,
+        newestAt: files.length ? new Date(Math.max(...dates)).toISOString() : null,
+      });
+    } catch (err) {
+      usage.error = err.message;
+    }
+    report.areas[name] = usage;
+  }
+  return report;
+}
+
+/**
+ * Delete a thumbnail, pinned or not
+ * @param {string} fileName
+ * @returns {Promise<boolean>} Whether it existed
+ */
+async function deleteThumbnail(fileName) {
+  const storage = getThumbnailStorage();
+  if (!(await storage.exists(fileName))) return false;
+  await storage.delete(fileName);
+  forgetFiles([fileName]);
+  return true;
+}
+
+function getPolicy({ settingsPrefix }) {
+  return {
+    maxAgeDays: settings[`${settingsPrefix}MaxAgeDays`],
+    maxCount: settings[`${settingsPrefix}MaxCount`],
+    maxSizeMB: settings[`${settingsPrefix}MaxSizeMB`],
+  };
+}
+
+// An area that's a folder on the server's disk, including any subfolders
+function createFolderArea(settingsPrefix, folder) {
+  return {
+    settingsPrefix,
+    getLocation: () => folder,
+    list: () => listFiles(folder),
+    delete: relativePath => fs.promises.unlink(path.join(folder, relativePath)).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    }),
+  };
+}
+
+// Files in a folder and its subfolders, other than dotfiles (e.g. .placeholder)
+async function listFiles(folder, relativeFolder = '') {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(path.join(folder, relativeFolder), { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relativePath = path.join(relativeFolder, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(folder, relativePath));
+    } else if (entry.isFile() && !entry.name.startsWith('.')) {
+      const stats = await fs.promises.stat(path.join(folder, relativePath)).catch(() => null);
+      if (stats) files.push({ name: relativePath, size: stats.size, modifiedAt: stats.mtime });
+    }
+  }
+  return files;
+}
@@ -1,33 +1,89 @@
 const path = require('path');
-const fastify = require('fastify')({ logger: true }); // https://www.fastify.io/
+const { settings } = require('./settings');
+const { logger } = require('./logger');
+const fastify = require('fastify')({ logger }); // https://www.fastify.io/
 const changeTimeoutPlugin = require('fastify-server-timeout')
+const addAuthentication = require('./endpoints/auth');
 const addExtractEndpoint = require('./endpoints/extract');
+const addJobEndpoints = require('./endpoints/jobs');
+const addSearchEndpoint = require('./endpoints/search');
+const addResultEndpoints = require('./endpoints/results');
+const addStorageEndpoint = require('./endpoints/storage');
+const addMetricsEndpoint = require('./endpoints/metrics');
+const { resumeJobs, warmUpBrowsers } = require('./job-queue');
+const { startSweeper } = require('./retention');
+const { lockResultsFolder } = require('./results-lock');
 const exposeThumbnailsFolder = require('./endpoints/thumbnails');
 
 fastify.register(changeTimeoutPlugin, {
-    serverTimeout: 1000 * 60 * 5, // 5 minutes
+    serverTimeout: settings.serverTimeoutMs,
 });
 
+// API keys (if any are configured), checked before every route
+addAuthentication(fastify);
+
 // Home route (just for testing)
 fastify.get('/', async (request, reply) => {
     return { welcome: 'to the BFD thumbnail extraction server' };
 });
 
-// Downloading thumbnails:
+// Downloading thumbnails, and managing their versions:
 // GET /thumbnails/filename.jpg
+// DELETE /thumbnails/filename.jpg
+// GET /thumbnail-versions?url=...
+// PUT /thumbnail-versions/current
+// DELETE /thumbnail-versions/current?url=...
 exposeThumbnailsFolder(fastify);
 
 // Extract thumbnail & data from BFDs:
 // POST /extract/
+// POST /extract/upload
 addExtractEndpoint(fastify);
 
+// Poll extraction progress & results:
+// GET /jobs/:id
+// GET /jobs/:id/events
+// GET /jobs/:id/logs?url=...
+// DELETE /jobs/:id
+addJobEndpoints(fastify);
+
+// Find BFDs by their text:
+// GET /search?q=...
+addSearchEndpoint(fastify);
+
+// Results of every extraction, by BFD:
+// GET /results?url=...
+// GET /results/history?url=...
+// GET /results/export?format=ndjson|csv
+addResultEndpoints(fastify);
+
+// Disk (and S3) usage of thumbnails, logs, Chrome's cache & uploads:
+// GET /storage
+addStorageEndpoint(fastify);
+
+// Counts & timings for Prometheus:
+// GET /metrics
+addMetricsEndpoint(fastify);
+
 // Run the server!
 const start = async () => {
     try {
-        await fastify.listen(3000);
+        // Keep the CLI (or another server) from overwriting our indexes
+        lockResultsFolder('the server');
+
+        // Pick up where we left off if the server was restarted mid-job
+        resumeJobs();
+
+        await fastify.listen(settings.port);
         fastify.log.info(
             `server listening on ${fastify.server.address().port}`
         );
+
+        // Have Chrome ready before the first job (if it isn't already running one)
+        warmUpBrowsers();
+
+        // Delete old thumbnails, logs etc. now and then
+        startSweeper();
     } catch (err) {
         fastify.log.error(err);
         process.exit(1);
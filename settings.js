@@ -0,0 +1,260 @@
+// Settings for the whole server: defaults, overridden by config.js, overridden
+// by environment variables (e.g. BFD_MAX_CHROME_INSTANCES=5 for
+// maxChromeInstances). Validated when first required, so a bad value stops the
+// server from starting rather than failing mid-job.
+
+const path = require('path');
+
+const options = {
+  // App to open BFDs in
+  domain: { type: 'string', required: true },
+  createURL: { type: 'string', required: true },
+
+  // Hosts that BFDs can be extracted from, comma separated, e.g.
+  // 'cdn.example.com, *.example.org'. Defaults to domain & its subdomains. * for any
+  allowedHosts: { type: 'string', default: '' },
+
+  // BFDs on the server's disk that can be extracted by path. Disabled if empty
+  localBfdFolder: { type: 'string', default: '' },
+
+  // Where jobs, results, thumbnails & uploads are stored, and job logs.
+  // Relative to this folder
+  resultsFolder: { type: 'string', default: 'results' },
+  logsFolder: { type: 'string', default: 'logs' },
+
+  // Server
+  port: { type: 'integer', default: 3000, min: 1, max: 65535 },
+  serverTimeoutMs: { type: 'integer', default: 1000 * 60 * 5, min: 1000 },
+  logLevel: { type: 'string', default: 'info', values: ['trace', 'debug', 'info', 'warn', 'error', 'fatal'] },
+
+  // Chrome
+  useGPU: { type: 'boolean', default: true }, // Use native device GPU instead of SwiftShader
+  isHeadless: { type: 'boolean', default: true }, // Headless or windowed mode
+  isDebug: { type: 'boolean', default: false },
+  maxChromeInstances: { type: 'integer', default: 3, min: 1, max: 32 },
+  recycleChromeAfterProjects: { type: 'integer', default: 50, min: 1 },
+  maxChromeHeapSizeMB: { type: 'integer', default: 1024, min: 64 },
+
+  // Jobs
+  maxBatchSize: { type: 'integer', default: 75, min: 1 }, // Roughly how many BFDs each Chrome instance can open per job
+  metadataConcurrency: { type: 'integer', default: 8, min: 1, max: 64 }, // BFDs downloaded at once in metadata mode
+  // Text the app gives new labels, which metadata mode leaves out of text like
+  // the app does (BFN.FabricManager.isDefaultText()). Case and spacing are ignored
+  defaultLabelText: { type: 'string', default: 'Double-click to edit' },
+
+  // Jobs & projects (can be overridden per request)
+  batchTimeoutMs: { type: 'integer', default: 1000 * 60 * 4.5, min: 1000, max: 1000 * 60 * 60 },
+  swapFonts: { type: 'boolean', default: true },
+  thumbnailSize: { type: 'integer', default: 720, min: 16, max: 4096 }, // Shortest side, in pixels
+  keepThumbnailVersions: { type: 'integer', default: 3, min: 1 }, // Older versions of each BFD's thumbnails are deleted
+  projectTimeoutMs: { type: 'integer', default: 1000 * 20, min: 1000, max: 1000 * 60 * 5 },
+  maxProjectAttempts: { type: 'integer', default: 2, min: 1, max: 5 }, // Retries transient failures
+  unicodeText: { type: 'boolean', default: false }, // Return text in its original Unicode, as well as ASCII
+
+  // Retention: files are deleted once they're older than <area>MaxAgeDays, and
+  // the oldest once there are more than <area>MaxCount or they total more than
+  // <area>MaxSizeMB. 0 for no limit
+  retentionSweepIntervalMinutes: { type: 'integer', default: 60, min: 0 }, // 0 disables sweeping
+  thumbnailMaxAgeDays: { type: 'integer', default: 0, min: 0 },
+  thumbnailMaxCount: { type: 'integer', default: 0, min: 0 },
+  thumbnailMaxSizeMB: { type: 'integer', default: 0, min: 0 },
+  logMaxAgeDays: { type: 'integer', default: 30, min: 0 },
+  logMaxCount: { type: 'integer', default: 0, min: 0 },
+  logMaxSizeMB: { type: 'integer', default: 0, min: 0 },
+  chromeCacheMaxAgeDays: { type: 'integer', default: 0, min: 0 },
+  chromeCacheMaxCount: { type: 'integer', default: 0, min: 0 },
+  chromeCacheMaxSizeMB: { type: 'integer', default: 1024, min: 0 }, // Also passed to Chrome
+  uploadMaxAgeDays: { type: 'integer', default: 7, min: 0 },
+  uploadMaxCount: { type: 'integer', default: 0, min: 0 },
+  uploadMaxSizeMB: { type: 'integer', default: 0, min: 0 },
+
+  // Signs webhook payloads. Callbacks are disabled without it
+  webhookSecret: { type: 'string', default: '' },
+  // Whether callbacks can go to loopback & private network addresses
+  allowPrivateCallbacks: { type: 'boolean', default: false },
+
+  // Keys that callers must send to use the API. Anyone can use it if empty.
+  // Limits are optional (no limit if left out)
+  apiKeys: {
+    type: 'array',
+    default: [],
+    items: {
+      name: { type: 'string', required: true }, // e.g. the team using it, shown in logs
+      key: { type: 'string', required: true },
+      maxUrlsPerJob: { type: 'integer', min: 1 },
+      maxConcurrentJobs: { type: 'integer', min: 1 }, // Queued or running
+      dailyUrlQuota: { type: 'integer', min: 1 }, // URLs submitted per day (UTC)
+      admin: { type: 'boolean' }, // Can see every job and manage thumbnails & storage
+    },
+  },
+
+  // Where thumbnails are kept: local (results/thumbnails) or s3 (any S3-compatible service)
+  thumbnailStorage: { type: 'string', default: 'local', values: ['local', 's3'] },
+  s3Bucket: { type: 'string', default: '' }, // Required for s3
+  s3Prefix: { type: 'string', default: 'thumbnails/' },
+  s3Region: { type: 'string', default: 'us-east-1' },
+  s3Endpoint: { type: 'string', default: '' }, // For services other than AWS, e.g. http://localhost:9000
+  s3ForcePathStyle: { type: 'boolean', default: false }, // Usually needed with s3Endpoint
+  s3AccessKeyId: { type: 'string', default: '' }, // Otherwise AWS's usual credentials are used
+  s3SecretAccessKey: { type: 'string', default: '' },
+  s3PublicUrl: { type: 'string', default: '' }, // Where the bucket is publicly readable (e.g. a CDN)
+};
+
+// Options that callers can set for their own job
+const requestOptionNames = ['batchTimeoutMs', 'swapFonts', 'thumbnailSize', 'projectTimeoutMs', 'maxProjectAttempts', 'unicodeText'];
+
+const settings = loadSettings(readConfigFile(), process.env);
+
+module.exports = { settings, getRequestOptionsSchema, getResultsPath, getLogsPath };
+
+/**
+ * @param {...string} segments - e.g. 'jobs.jsonl'
+ * @returns {string} Absolute path in resultsFolder
+ */
+function getResultsPath(...segments) {
+  return path.resolve(__dirname, settings.resultsFolder, ...segments);
+}
+
+/**
+ * @param {...string} segments - e.g. 'abcdefgh.jsonl'
+ * @returns {string} Absolute path in logsFolder
+ */
+function getLogsPath(...segments) {
+  return path.resolve(__dirname, settings.logsFolder, ...segments);
+}
+
+/**
+ * JSON schema properties for options that can be set per request
+ * @returns {object}
+ */
+function getRequestOptionsSchema() {
+  const properties = {};
+  requestOptionNames.forEach((name) => {
+    const { type, min, max } = options[name];
+    properties[name] = { type };
+    if (min !== undefined) properties[name].minimum = min;
+    if (max !== undefined) properties[name].maximum = max;
+  });
+  return properties;
+}
+
+function readConfigFile() {
+  try {
+    return require('./config');
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND' || !err.message.includes('/config')) throw err;
+    return {};
+  }
+}
+
+/**
+ * Merge and validate settings
+ * @param {object} config - From config.js
+ * @param {object} env - Environment variables
+ * @returns {object} Frozen settings
+ */
+function loadSettings(config, env) {
+  const result = {};
+  const problems = [];
+
+  Object.keys(config)
+    .filter(name => !options[name])
+    .forEach(name => problems.push(`Unknown setting "${name}" in config.js`));
+
+  Object.entries(options).forEach(([name, option]) => {
+    const envName = toEnvName(name);
+    let value = option.default;
+    if (config[name] !== undefined) value = config[name];
+    if (env[envName] !== undefined) value = parseEnvValue(env[envName], option.type);
+
+    const problem = validate(value, option);
+    if (problem) {
+      problems.push(`${name} (${envName}) ${problem}`);
+    }
+    result[name] = value;
+  });
+
+  ['name', 'key'].forEach((property) => {
+    const values = Array.isArray(result.apiKeys) ? result.apiKeys.map(apiKey => apiKey && apiKey[property]) : [];
+    if (values.some((value, index) => values.indexOf(value) !== index)) {
+      problems.push(`apiKeys (BFD_API_KEYS) must have unique ${property}s`);
+    }
+  });
+
+  if (result.thumbnailStorage === 's3' && !result.s3Bucket) {
+    problems.push('s3Bucket (BFD_S3_BUCKET) is required when thumbnailStorage is s3');
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid settings:\n\t${problems.join('\n\t')}`);
+  }
+
+  return Object.freeze(result);
+}
+
+function validate(value, { type, required, min, max, values, items }) {
+  if (value === undefined || value === '') {
+    return required ? 'is required' : null;
+  }
+  switch (type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (values && !values.includes(value)) return `must be one of ${values.join(', ')}`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      if (min !== undefined && value < min) return `must be at least ${min}`;
+      if (max !== undefined && value > max) return `must be at most ${max}`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      for (let index = 0; index < value.length; index++) {
+        const problem = validateItem(value[index], items);
+        if (problem) return `[${index}] ${problem}`;
+      }
+      break;
+  }
+  return null;
+}
+
+// Items of array settings are objects, whose properties are like settings
+function validateItem(item, properties) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return 'must be an object';
+
+  const unknownName = Object.keys(item).find(name => !properties[name]);
+  if (unknownName) return `has unknown property "${unknownName}"`;
+
+  for (const [name, option] of Object.entries(properties)) {
+    const problem = validate(item[name], option);
+    if (problem) return `${name} ${problem}`;
+  }
+  return null;
+}
+
+function parseEnvValue(value, type) {
+  switch (type) {
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'integer':
+      return value.trim() && !isNaN(value) ? Number(value) : value;
+    case 'array':
+      // As JSON, e.g. BFD_API_KEYS='[{"name":"web","key":"..."}]'
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+// e.g. maxChromeInstances -> BFD_MAX_CHROME_INSTANCES
+function toEnvName(name) {
+  return `BFD_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
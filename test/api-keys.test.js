@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const { describe, it, after } = require('node:test');
+
+const { useTempFolders } = require('./helpers');
+
+const removeTempFolders = useTempFolders();
+Object.assign(process.env, {
+  BFD_DOMAIN: 'example.com',
+  BFD_API_KEYS: JSON.stringify([
+    { name: 'web', key: 'web-key', maxUrlsPerJob: 10, maxConcurrentJobs: 2, dailyUrlQuota: 25 },
+    { name: 'ops', key: 'ops-key', admin: true, dailyUrlQuota: 5 },
+  ]),
+});
+
+// Usage from an earlier day
+fs.mkdirSync(process.env.BFD_RESULTS_FOLDER, { recursive: true });
+fs.writeFileSync(`${process.env.BFD_RESULTS_FOLDER}/api-usage.json`, JSON.stringify({ ops: { date: '2020-06-01', urls: 5 } }));
+
+const {
+  findApiKey, getApiKeyFromRequest, canAccessJob, canAccessUrl, checkAllowance, getAllowance, recordUsage,
+} = require('../api-keys');
+const { storeResult } = require('../result-store');
+
+describe('api-keys', () => {
+  after(removeTempFolders);
+
+  const web = findApiKey('web-key');
+  const ops = findApiKey('ops-key');
+
+  it('finds keys, sent as a bearer token, header or query parameter', () => {
+    assert.strictEqual(web.name, 'web');
+    assert.strictEqual(findApiKey('wrong-key'), undefined);
+    assert.strictEqual(getApiKeyFromRequest({ headers: { authorization: 'Bearer  web-key ' } }), 'web-key');
+    assert.strictEqual(getApiKeyFromRequest({ headers: { 'x-api-key': 'web-key' } }), 'web-key');
+    assert.strictEqual(getApiKeyFromRequest({ headers: {}, query: { apiKey: 'web-key' } }), 'web-key');
+    assert.strictEqual(getApiKeyFromRequest({ headers: {}, query: {} }), undefined);
+  });
+
+  it('only lets keys see their own jobs, unless they are admin keys', () => {
+    assert.ok(canAccessJob(web, { owner: 'web' }));
+    assert.ok(!canAccessJob(web, { owner: 'ops' }));
+    assert.ok(canAccessJob(ops, { owner: 'web' }));
+    assert.ok(canAccessJob(null, { owner: 'web' }));
+  });
+
+  it('only lets keys see BFDs their own jobs have extracted, unless they are admin keys', () => {
+    const url = 'https://example.com/ops-only.bfd';
+    storeResult(url, 'job-1', 'opened', {}, 'ops');
+    assert.ok(!canAccessUrl(web, url));
+    assert.ok(canAccessUrl(ops, url));
+    assert.ok(canAccessUrl(null, url));
+
+    storeResult(url, 'job-2', 'missing', {}, 'web');
+    assert.ok(canAccessUrl(web, url));
+  });
+
+  it('limits URLs per job and jobs in progress', () => {
+    assert.strictEqual(checkAllowance(web, 10, 1), null);
+    assert.match(checkAllowance(web, 11, 0).error, /Limit = 10 per job/);
+    assert.match(checkAllowance(web, 1, 2).error, /Too many jobs in progress/);
+    assert.strictEqual(checkAllowance(ops, 5, 50), null);
+  });
+
+  it('counts URLs towards the daily quota', () => {
+    recordUsage(web, 10);
+    recordUsage(web, 10);
+    const { dailyUrls } = getAllowance(web, 0);
+    assert.deepStrictEqual([dailyUrls.limit, dailyUrls.used, dailyUrls.remaining], [25, 20, 5]);
+    assert.ok(new Date(dailyUrls.resetsAt) > new Date());
+
+    assert.strictEqual(checkAllowance(web, 5, 0), null);
+    const exceeded = checkAllowance(web, 6, 0);
+    assert.match(exceeded.error, /Daily quota exceeded/);
+    assert.strictEqual(exceeded.allowance.dailyUrls.remaining, 5);
+    assert.ok(exceeded.retryAfterSeconds > 0 && exceeded.retryAfterSeconds <= 24 * 60 * 60);
+  });
+
+  it("doesn't count earlier days' URLs", () => {
+    assert.strictEqual(getAllowance(ops, 0).dailyUrls.used, 0);
+    recordUsage(ops, 2);
+    assert.strictEqual(getAllowance(ops, 0).dailyUrls.used, 2);
+  });
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { describe, it } = require('node:test');
+
+process.env.BFD_DOMAIN = 'example.com';
+
+const { parseBfd, getBfdMetadata } = require('../bfd-parser');
+
+const readFixture = fileName => fs.readFileSync(path.join(__dirname, '/fixtures', fileName));
+
+// A zip archive of one deflated file (without CRCs, which aren't checked)
+function zip(fileName, contents) {
+  const name = Buffer.from(fileName);
+  const data = zlib.deflateRawSync(contents);
+  const localHeader = Buffer.alloc(30);
+  localHeader.writeUInt32LE(0x04034b50, 0);
+  localHeader.writeUInt16LE(8, 8);
+  localHeader.writeUInt32LE(data.length, 18);
+  localHeader.writeUInt32LE(contents.length, 22);
+  localHeader.writeUInt16LE(name.length, 26);
+
+  const centralHeader = Buffer.alloc(46);
+  centralHeader.writeUInt32LE(0x02014b50, 0);
+  centralHeader.writeUInt16LE(8, 10);
+  centralHeader.writeUInt32LE(data.length, 20);
+  centralHeader.writeUInt32LE(contents.length, 24);
+  centralHeader.writeUInt16LE(name.length, 28);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(centralHeader.length + name.length, 12);
+  end.writeUInt32LE(localHeader.length + name.length + data.length, 16);
+  return Buffer.concat([localHeader, name, data, centralHeader, name, end]);
+}
+
+describe('bfd-parser', () => {
+  it('reads the same metadata as opening the BFD in the app', () => {
+    // See extract-data.test.js for what the (fake) app extracts from it
+    assert.deepStrictEqual(getBfdMetadata(readFixture('template.bfd'), { unicodeText: true }), {
+      projectWidth: 800,
+      projectHeight: 600,
+      text: encodeURIComponent('Grue aus Berlin'),
+      unicodeText: 'Grüße aus Berlin',
+      sectionID: 'designer',
+      version: 3,
+      sourceTemplateID: 'tpl-1',
+    });
+  });
+
+  it('reads gzipped and zipped BFDs, and projects outside projectVO', () => {
+    const expected = getBfdMetadata(readFixture('template.bfd'));
+    assert.deepStrictEqual(getBfdMetadata(zlib.gzipSync(readFixture('template.bfd'))), expected);
+    assert.deepStrictEqual(getBfdMetadata(zip('project.json', readFixture('template.bfd'))), expected);
+
+    const { projectVO, ...bfd } = JSON.parse(readFixture('template.bfd'));
+    assert.deepStrictEqual(getBfdMetadata(Buffer.from(JSON.stringify({ ...bfd, project: projectVO }))), expected);
+  });
+
+  it("leaves out the app's default text", () => {
+    const bfd = { projectVO: { transformLabels: [{ labelText: 'Hello' }, { labelText: ' Double-click  to edit ' }] } };
+    assert.strictEqual(getBfdMetadata(Buffer.from(JSON.stringify(bfd))).text, 'Hello');
+  });
+
+  it('rejects files that are not BFDs', () => {
+    const isNotABfd = ({ code }) => code === 'NOT_A_BFD';
+    assert.throws(() => parseBfd(readFixture('not-a-bfd.bfd')), isNotABfd);
+    assert.throws(() => parseBfd(Buffer.from('null')), isNotABfd);
+    assert.throws(() => getBfdMetadata(Buffer.from('{"version":"3"}')), isNotABfd);
+  });
+});
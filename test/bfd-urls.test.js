@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+// allowedHosts defaults to the app's domain and its subdomains
+Object.assign(process.env, { BFD_DOMAIN: 'www.example.com', BFD_ALLOWED_HOSTS: '' });
+
+const { parseBfdUrls, parseBfdUrl, isAllowedHost } = require('../bfd-urls');
+
+describe('bfd-urls', () => {
+  it("accepts BFD URLs on the app's domain, keeping query strings but not fragments", () => {
+    assert.deepStrictEqual(parseBfdUrl(' https://example.com/a/template.bfd?sig=1#top '), { url: 'https://example.com/a/template.bfd?sig=1' });
+    assert.deepStrictEqual(parseBfdUrl('http://cdn.example.com/template.bfd'), { url: 'http://cdn.example.com/template.bfd' });
+  });
+
+  it('converts thumbnail URLs to their BFD', () => {
+    assert.deepStrictEqual(parseBfdUrl('https://example.com/a/template.bfd_thumb.png?v=2'), {
+      url: 'https://example.com/a/template.bfd',
+      isThumbTransparent: true,
+    });
+    assert.deepStrictEqual(parseBfdUrl('https://example.com/a/template.bfd_thumb.jpg').isThumbTransparent, false);
+  });
+
+  it('only allows the domain and its subdomains', () => {
+    assert.ok(isAllowedHost(new URL('https://example.com/')));
+    assert.ok(isAllowedHost(new URL('https://a.b.example.com/')));
+    assert.ok(!isAllowedHost(new URL('https://example.com.evil.com/')));
+    assert.ok(!isAllowedHost(new URL('https://notexample.com/')));
+  });
+
+  it('rejects inputs that cannot be extracted, saying why', () => {
+    const inputs = [
+      'https://example.com/one.bfd',
+      'not a URL',
+      'ftp://example.com/two.bfd',
+      'https://evil.com/three.bfd',
+      'https://example.com/four.jpg',
+      'https://example.com/one.bfd#again',
+    ];
+    const { urls, rejectedUrls } = parseBfdUrls(inputs);
+    assert.deepStrictEqual(urls, [{ url: 'https://example.com/one.bfd' }]);
+    assert.deepStrictEqual(rejectedUrls.map(({ url, code }) => [url, code]), [
+      [inputs[1], 'INVALID_URL'],
+      [inputs[2], 'UNSUPPORTED_PROTOCOL'],
+      [inputs[3], 'HOST_NOT_ALLOWED'],
+      [inputs[4], 'NOT_A_BFD_URL'],
+      [inputs[5], 'DUPLICATE'],
+    ]);
+    assert.ok(rejectedUrls.every(({ reason }) => reason));
+  });
+
+  it('only accepts the local BFD URLs it is given', () => {
+    const uploadUrl = 'https://www.example.com/__local__/uploads/abcdefgh-template.bfd';
+    assert.deepStrictEqual(parseBfdUrls([uploadUrl]).urls, [{ url: uploadUrl }]);
+
+    const { urls, rejectedUrls } = parseBfdUrls([uploadUrl], { localUrls: [] });
+    assert.deepStrictEqual(urls, []);
+    assert.deepStrictEqual(rejectedUrls.map(({ code }) => code), ['LOCAL_FILE_NOT_ALLOWED']);
+    assert.deepStrictEqual(parseBfdUrls([uploadUrl], { localUrls: [uploadUrl] }).urls, [{ url: uploadUrl }]);
+  });
+});
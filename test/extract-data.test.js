@@ -0,0 +1,203 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { startFakeEditor } = require('./helpers');
+
+describe('extractData', () => {
+  let fakeEditor;
+  let pool;
+  let thumbnailFolder;
+  let extract;
+  let createPool;
+
+  before(async () => {
+    fakeEditor = await startFakeEditor();
+
+    const { extractData, launchPage, resetPage } = require('../extract-data');
+    const { createBrowserPool } = require('../browser-pool');
+    const { createLocalStorage } = require('../thumbnail-storage');
+
+    thumbnailFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'bfd-thumbnails-'));
+    const storage = createLocalStorage({ folder: thumbnailFolder });
+    createPool = (options = {}) => createBrowserPool({ size: 1, recycleAfterProjects: 50, maxHeapSizeMB: 1024, launchPage, resetPage, ...options });
+    pool = createPool();
+
+    // Extract fixtures, without reusing earlier results or retrying failures
+    extract = (fileNames, options = {}) => extractData(fileNames.map(fileName => ({ url: fakeEditor.getBfdUrl(fileName) })), {
+      pool,
+      storage,
+      getLog: () => () => { },
+      force: true,
+      maxProjectAttempts: 1,
+      projectTimeoutMs: 5000,
+      ...options,
+    });
+  });
+
+  after(async () => {
+    await pool.close();
+    await fakeEditor.close();
+    fs.rmSync(thumbnailFolder, { recursive: true, force: true });
+  });
+
+  it('opens a project, saves its thumbnail and reads its data', async () => {
+    const { openedProjects } = await extract(['template.bfd'], { include: ['labels', 'fonts'], unicodeText: true });
+
+    assert.strictEqual(openedProjects.length, 1);
+    const project = openedProjects[0];
+    assert.strictEqual(project.url, fakeEditor.getBfdUrl('template.bfd'));
+    assert.strictEqual(project.projectWidth, 800);
+    assert.strictEqual(project.projectHeight, 600);
+    assert.strictEqual(project.sectionID, 'designer');
+    assert.strictEqual(project.version, 3);
+    assert.strictEqual(project.sourceTemplateID, 'tpl-1');
+    assert.ok(project.contentHash);
+
+    // The app's default text is left out, and text is ASCII only
+    assert.strictEqual(project.text, encodeURIComponent('Grue aus Berlin'));
+    assert.strictEqual(project.unicodeText, 'Grüße aus Berlin');
+    assert.deepStrictEqual(project.metadata.fonts, ['Lato']);
+    assert.deepStrictEqual(project.metadata.labels[0].bounds, { x: 10, y: 20, width: 300, height: 60 });
+    assert.strictEqual(project.metadata.labels[0].color, '#ff0000');
+    assert.deepStrictEqual(project.metadata.missingFields, []);
+
+    const [thumbnail] = project.thumbnails;
+    assert.strictEqual(project.thumbURL, thumbnail.url);
+    assert.deepStrictEqual([thumbnail.format, thumbnail.width, thumbnail.height], ['jpg', 800, 600]);
+    assert.ok(fs.existsSync(path.join(thumbnailFolder, path.basename(thumbnail.url))));
+  });
+
+  it('reads the same metadata as mode: "metadata"', async () => {
+    const { getBfdMetadata } = require('../bfd-parser');
+    const fileNames = ['template.bfd', 'transparent.bfd', 'missing-fonts.bfd'];
+    const { openedProjects, fontSwapProjects } = await extract(fileNames, { swapFonts: true, unicodeText: true });
+    const projects = [...openedProjects, ...fontSwapProjects];
+
+    assert.strictEqual(projects.length, fileNames.length);
+    fileNames.forEach((fileName) => {
+      const opened = projects.find(({ url }) => url === fakeEditor.getBfdUrl(fileName));
+      const parsed = getBfdMetadata(fs.readFileSync(path.join(__dirname, 'fixtures', fileName)), { unicodeText: true });
+      Object.keys(parsed).forEach(key => assert.deepStrictEqual(opened[key], parsed[key], `${fileName} ${key}`));
+    });
+  });
+
+  it("lists metadata fields that couldn't be found", async () => {
+    const { openedProjects } = await extract(['transparent.bfd'], { include: ['labels', 'background', 'pages'] });
+
+    const { labels, missingFields } = openedProjects[0].metadata;
+    assert.deepStrictEqual(labels, [{ text: 'Hello', bounds: {} }]);
+    assert.deepStrictEqual(missingFields.sort(), [
+      'backgroundColor', 'labels.bounds.height', 'labels.bounds.width', 'labels.bounds.x', 'labels.bounds.y',
+      'labels.color', 'labels.fontFamily', 'labels.fontSize', 'pageCount',
+    ]);
+  });
+
+  it('saves transparent projects as PNG', async () => {
+    const { openedProjects } = await extract(['transparent.bfd']);
+
+    assert.strictEqual(openedProjects.length, 1);
+    assert.strictEqual(openedProjects[0].thumbnails[0].format, 'png');
+    assert.ok(openedProjects[0].thumbURL.endsWith('.png'));
+  });
+
+  it('generates every rendition', async () => {
+    const { openedProjects } = await extract(['template.bfd'], {
+      renditions: [{ size: 120, crop: 'square', format: 'webp' }, { size: 300 }],
+    });
+
+    const thumbnails = openedProjects[0].thumbnails.map(({ name, format, width, height }) => ({ name, format, width, height }));
+    assert.deepStrictEqual(thumbnails, [
+      { name: '120-square-webp', format: 'webp', width: 120, height: 120 },
+      { name: '300', format: 'jpg', width: 400, height: 300 },
+    ]);
+  });
+
+  it('reports fonts that need to be swapped, without a thumbnail', async () => {
+    const { fontSwapProjects } = await extract(['missing-fonts.bfd'], { swapFonts: false });
+
+    assert.strictEqual(fontSwapProjects.length, 1);
+    assert.deepStrictEqual(fontSwapProjects[0].fontsToSwap, ['Lobster']);
+    assert.strictEqual(fontSwapProjects[0].thumbURL, undefined);
+  });
+
+  it('swaps missing fonts', async () => {
+    const { fontSwapProjects } = await extract(['missing-fonts.bfd'], { swapFonts: true });
+
+    assert.strictEqual(fontSwapProjects.length, 1);
+    assert.deepStrictEqual(fontSwapProjects[0].fontsToSwap, ['Lobster']);
+    assert.ok(fontSwapProjects[0].thumbURL);
+  });
+
+  it('reports errors shown by the app', async () => {
+    const { unopenedProjects } = await extract(['error-modal.bfd']);
+
+    assert.strictEqual(unopenedProjects.length, 1);
+    const { error } = unopenedProjects[0];
+    assert.strictEqual(error.code, 'APP_MODAL_ERROR');
+    assert.match(error.details.reason, /newer version of BeFunky/);
+  });
+
+  it('gives up on projects that take too long to load', async () => {
+    const { unopenedProjects } = await extract(['slow.bfd'], { projectTimeoutMs: 1500 });
+
+    assert.strictEqual(unopenedProjects.length, 1);
+    assert.strictEqual(unopenedProjects[0].error.code, 'OPEN_TIMEOUT');
+  });
+
+  it('reports thumbnails that fail to download', async () => {
+    const { unopenedProjects } = await extract(['download-fails.bfd']);
+
+    assert.strictEqual(unopenedProjects.length, 1);
+    assert.strictEqual(unopenedProjects[0].error.code, 'DOWNLOAD_EVENT_FAILED');
+  });
+
+  it("reports BFDs that can't be downloaded, or aren't BFDs", async () => {
+    const { missingProjects, unopenedProjects } = await extract(['does-not-exist.bfd', 'not-a-bfd.bfd']);
+
+    assert.strictEqual(missingProjects.length, 1);
+    assert.strictEqual(missingProjects[0].error.code, 'DOWNLOAD_FAILED');
+    assert.strictEqual(unopenedProjects.length, 1);
+    assert.strictEqual(unopenedProjects[0].error.code, 'NOT_A_BFD');
+  });
+
+  it('carries on with the rest of a batch after a project fails', async () => {
+    const result = await extract(['error-modal.bfd', 'slow.bfd', 'template.bfd'], { projectTimeoutMs: 1500 });
+
+    assert.deepStrictEqual(result.unopenedProjects.map(({ error }) => error.code), ['APP_MODAL_ERROR', 'OPEN_TIMEOUT']);
+    assert.deepStrictEqual(result.openedProjects.map(({ url }) => url), [fakeEditor.getBfdUrl('template.bfd')]);
+  });
+
+  it('relaunches Chrome and carries on when it crashes mid-preload', async () => {
+    const { launchPage } = require('../extract-data');
+    const pages = [];
+    const crashingPool = createPool({
+      launchPage: async (log) => {
+        const launched = await launchPage(log);
+        pages.push(launched.page);
+        return launched;
+      },
+    });
+
+    try {
+      // Close the page as the first preload starts, like a crash
+      let hasCrashed = false;
+      const result = await extract(['template.bfd', 'transparent.bfd'], {
+        pool: crashingPool,
+        maxProjectAttempts: 2,
+        onProgress: (url, status) => {
+          if (status !== 'preloading' || hasCrashed) return;
+          hasCrashed = true;
+          pages[0].close();
+        },
+      });
+
+      assert.strictEqual(pages.length, 2);
+      assert.deepStrictEqual(result.openedProjects.map(({ url }) => url), ['template.bfd', 'transparent.bfd'].map(fakeEditor.getBfdUrl));
+    } finally {
+      await crashingPool.close();
+    }
+  });
+});
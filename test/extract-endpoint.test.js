@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+
+const { startFakeEditor } = require('./helpers');
+
+describe('POST /extract/', () => {
+  let fakeEditor;
+  let fastify;
+  let closeBrowsers;
+
+  before(async () => {
+    fakeEditor = await startFakeEditor();
+    process.env.BFD_WEBHOOK_SECRET = 'secret';
+
+    ({ closeBrowsers } = require('../job-queue'));
+    fastify = require('fastify')();
+    require('../endpoints/extract')(fastify);
+    require('../endpoints/jobs')(fastify);
+    await fastify.ready();
+  });
+
+  after(async () => {
+    await closeBrowsers();
+    await fastify.close();
+    await fakeEditor.close();
+  });
+
+  // Poll the job until it has finished
+  async function waitForJob(jobID) {
+    for (let attempt = 0; attempt < 120; attempt++) {
+      const job = JSON.parse((await fastify.inject({ method: 'GET', url: `/jobs/${jobID}` })).payload);
+      if (!['queued', 'running'].includes(job.status)) return job;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Job ${jobID} didn't finish`);
+  }
+
+  it('extracts BFDs, and reports the URLs it rejected', async () => {
+    const urls = [
+      fakeEditor.getBfdUrl('template.bfd'),
+      fakeEditor.getBfdUrl('transparent.bfd_thumb.png'),
+      fakeEditor.getBfdUrl('does-not-exist.bfd'),
+      fakeEditor.getBfdUrl('template.bfd#copy'),
+      'https://example.com/template.bfd',
+      'not a URL',
+    ];
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/extract/',
+      payload: { urls, force: true, maxProjectAttempts: 1 },
+    });
+
+    assert.strictEqual(response.statusCode, 202);
+    const { jobID, rejectedUrls } = JSON.parse(response.payload);
+    assert.deepStrictEqual(rejectedUrls.map(({ url, code }) => [url, code]), [
+      [urls[3], 'DUPLICATE'],
+      [urls[4], 'HOST_NOT_ALLOWED'],
+      [urls[5], 'INVALID_URL'],
+    ]);
+
+    const { status, result } = await waitForJob(jobID);
+    assert.strictEqual(status, 'done');
+    assert.deepStrictEqual(result.openedProjects.map(({ url, thumbnails }) => [url, thumbnails[0].format]), [
+      [fakeEditor.getBfdUrl('template.bfd'), 'jpg'],
+      [fakeEditor.getBfdUrl('transparent.bfd'), 'png'],
+    ]);
+    assert.deepStrictEqual(result.missingProjects.map(({ url, error }) => [url, error.code]), [
+      [fakeEditor.getBfdUrl('does-not-exist.bfd'), 'DOWNLOAD_FAILED'],
+    ]);
+  });
+
+  it('reads metadata without opening BFDs', async () => {
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/extract/',
+      payload: { urls: [fakeEditor.getBfdUrl('template.bfd')], mode: 'metadata', force: true },
+    });
+
+    assert.strictEqual(response.statusCode, 202);
+    const { result } = await waitForJob(JSON.parse(response.payload).jobID);
+    const [project] = result.openedProjects;
+    assert.deepStrictEqual([project.projectWidth, project.projectHeight, project.sourceTemplateID], [800, 600, 'tpl-1']);
+    assert.strictEqual(project.thumbURL, undefined);
+  });
+
+  it('rejects jobs without any valid URLs', async () => {
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/extract/',
+      payload: { urls: ['https://example.com/template.bfd', fakeEditor.getBfdUrl('template.jpg')] },
+    });
+
+    assert.strictEqual(response.statusCode, 400);
+    const { rejectedUrls } = JSON.parse(response.payload);
+    assert.deepStrictEqual(rejectedUrls.map(({ code }) => code), ['HOST_NOT_ALLOWED', 'NOT_A_BFD_URL']);
+  });
+
+  it('only accepts local BFDs as paths or uploads', async () => {
+    const response = await fastify.inject({
+      method: 'POST',
+      url: '/extract/',
+      payload: { urls: ['https://localhost/__local__/uploads/abcdefgh-template.bfd'] },
+    });
+
+    assert.strictEqual(response.statusCode, 400);
+    const { rejectedUrls } = JSON.parse(response.payload);
+    assert.deepStrictEqual(rejectedUrls.map(({ code }) => code), ['LOCAL_FILE_NOT_ALLOWED']);
+  });
+
+  it("refuses callbacks to the server's own network", async () => {
+    for (const callbackUrl of ['http://localhost:3000/', 'http://127.0.0.1/', 'http://[::1]/', 'http://169.254.169.254/']) {
+      const response = await fastify.inject({
+        method: 'POST',
+        url: '/extract/',
+        payload: { urls: [fakeEditor.getBfdUrl('template.bfd')], callbackUrl },
+      });
+      assert.strictEqual(response.statusCode, 400, callbackUrl);
+      assert.match(JSON.parse(response.payload).error, /loopback or private/);
+    }
+  });
+});
@@ -0,0 +1,240 @@
+// Stand-in for the editor app at createURL, so extract-data.js can be tested
+// offline. It implements only the globals that extract-data.js relies on
+// (BFN.*, BeFunky.* and saveAs), and "renders" each project as a plain
+// rectangle. How a project behaves is scripted by its BFD's fakeEditor property:
+//
+//   loadMs        How long the project takes to load (default 100)
+//   missingFonts  Fonts the app offers to swap when it opens, e.g. ['Lobster']
+//   errorModal    Message of an error modal shown once the project has loaded
+//   transparent   Whether the project has a transparent background
+//   failDownload  Saving thumbnails fails
+//
+// BFDs are JSON, e.g. { "version": "3", "projectVO": { ... }, "fakeEditor": { ... } }
+
+(function () {
+  const defaultText = 'Double-click to edit';
+  const fontSwapMs = 200;
+
+  let section = 'designer';
+  let project = null; // projectVO of the open project
+  let behaviour = {};
+  let loadTimer = null;
+  let isLoadScreenActive = true;
+  let modalCount = 0;
+  const modals = [];
+
+  const models = {
+    editor: { hasUnsavedChanges: false, projectVO: null },
+    collage: { hasUnsavedChanges: false, projectVO: null },
+    designer: { hasUnsavedChanges: false, projectVO: null },
+  };
+  const canvas = { getFlattenedImage: () => project && createTexture(project) };
+
+  window.BeFunky = {
+    request(url, options, callback) {
+      fetchOk(url)
+        .then(response => response.blob())
+        .then(response => callback({ response }), error => callback({ error: error.message }));
+    },
+    getModal: () => modals[modals.length - 1] && { modalElement: modals[modals.length - 1] },
+    closeModal,
+    isLoadScreenActive: () => isLoadScreenActive,
+    hideLoadScreen() {
+      isLoadScreenActive = false;
+    },
+    logError: (...args) => console.error(...args),
+  };
+
+  window.BFN = {
+    openedSections: [],
+    PhotoEditorModel: models.editor,
+    CollageMakerModel: models.collage,
+    DesignerModel: models.designer,
+    PhotoEditorCanvas: canvas,
+    CollageMakerCanvas: canvas,
+    DesignerCanvas: canvas,
+    AppModel: {
+      sectionValue: (editor, collage, designer) => ({ editor, collage, designer })[section],
+    },
+    ProjectService: {
+      removeLocalAsset() { },
+    },
+    SavedProjectService: {
+      getBefunkyBfd(url, callback) {
+        fetchOk(url)
+          .then(response => response.text())
+          .then((text) => {
+            // Like the app, anything that isn't JSON is passed on as it is
+            try {
+              callback({ data: JSON.parse(text) });
+            } catch (err) {
+              callback({ data: text });
+            }
+          }, error => callback({ error: error.message }));
+      },
+    },
+    ProjectManager: {
+      projectLoading: false,
+      openProject,
+      rejectProjectLoading() {
+        clearTimeout(loadTimer);
+        BFN.ProjectManager.projectLoading = false;
+        closeProject();
+      },
+      checkThumbnailAvailability: () => (project ? { isAvailable: true } : { isAvailable: false, reason: 'no_project' }),
+    },
+    ParseBFD: {
+      swappedFonts: {},
+    },
+    FabricManager: {
+      isDefaultText: text => text === defaultText,
+    },
+    UndoManager: {
+      // Asks whether to start over, like the app
+      reset() {
+        showModal('Start a new project? Any unsaved changes will be lost.', [
+          { className: 'button--blue', label: 'Start New', onClick: closeProject },
+          { className: 'button--grey', label: 'Cancel' },
+        ]);
+      },
+    },
+    MainUI: {
+      addIdleRenderFunction: callback => setTimeout(callback, 16),
+    },
+    TextureUtils: {
+      getScaledDimensions(texture, { maxWidth, maxHeight }) {
+        const scale = Math.min(1, maxWidth / texture.width, maxHeight / texture.height);
+        return [Math.round(texture.width * scale), Math.round(texture.height * scale)];
+      },
+      textureToBlob(texture, { isTransparent, quality }) {
+        const element = document.createElement('canvas');
+        element.width = texture.width;
+        element.height = texture.height;
+        const context = element.getContext('2d');
+        if (!isTransparent) {
+          context.fillStyle = '#fff';
+          context.fillRect(0, 0, texture.width, texture.height);
+        }
+        if (!texture.transparent) {
+          context.fillStyle = '#4a90e2';
+          context.fillRect(0, 0, texture.width, texture.height);
+        }
+        context.fillStyle = '#f5a623';
+        context.fillRect(texture.width / 4, texture.height / 4, texture.width / 2, texture.height / 2);
+        return new Promise(resolve => element.toBlob(resolve, isTransparent ? 'image/png' : 'image/jpeg', quality));
+      },
+    },
+    Util: {
+      getThumbTexture(texture, maxSideLength) {
+        const scale = maxSideLength / Math.max(texture.width, texture.height);
+        return { ...texture, width: Math.round(texture.width * scale), height: Math.round(texture.height * scale) };
+      },
+      isTransparent: texture => texture.transparent,
+    },
+  };
+
+  // Downloads a file, like FileSaver.js
+  window.saveAs = (blob, fileName) => {
+    if (behaviour.failDownload) throw new Error('Unable to save file');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+  };
+
+  // The app opens its first section once it has loaded
+  setTimeout(() => {
+    BFN.openedSections.push(section);
+    isLoadScreenActive = false;
+  }, 100);
+
+  function openProject(bfd) {
+    project = bfd.projectVO || bfd;
+    behaviour = bfd.fakeEditor || {};
+    section = project.section || 'designer';
+    models[section].projectVO = project;
+
+    const swappedFonts = {};
+    (behaviour.missingFonts || []).forEach((font) => {
+      swappedFonts[font] = 'Arial';
+    });
+    BFN.ParseBFD.swappedFonts = swappedFonts;
+
+    load(behaviour.loadMs === undefined ? 100 : behaviour.loadMs, () => {
+      if (behaviour.errorModal) {
+        showModal(behaviour.errorModal, [{ className: 'button--blue', label: 'OK, Got It!' }]);
+      } else if (behaviour.missingFonts) {
+        showModal('Some fonts in this project are unavailable. Swap them for similar fonts?', [
+          { className: 'button--blue', label: 'Swap Fonts', onClick: () => load(fontSwapMs, () => { }) },
+          { className: 'button--grey', label: 'Cancel' },
+        ]);
+      }
+    });
+  }
+
+  function closeProject() {
+    project = null;
+    behaviour = {};
+    models[section].projectVO = null;
+  }
+
+  // Show the load screen while a project loads
+  function load(durationMs, callback) {
+    BFN.ProjectManager.projectLoading = true;
+    isLoadScreenActive = true;
+    loadTimer = setTimeout(() => {
+      BFN.ProjectManager.projectLoading = false;
+      isLoadScreenActive = false;
+      callback();
+    }, durationMs);
+  }
+
+  function showModal(message, buttons) {
+    const modalElement = document.createElement('div');
+    modalElement.id = `modal-${++modalCount}`;
+    modalElement.className = 'modal';
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    modalElement.appendChild(text);
+
+    buttons.forEach(({ className, label, onClick }) => {
+      const button = document.createElement('button');
+      button.className = className;
+      button.textContent = label;
+      button.onclick = () => {
+        closeModal(modalElement.id);
+        if (onClick) onClick();
+      };
+      modalElement.appendChild(button);
+    });
+
+    document.body.appendChild(modalElement);
+    modals.push(modalElement);
+  }
+
+  function closeModal(id) {
+    const index = modals.findIndex(modalElement => modalElement.id === id);
+    if (index !== -1) modals.splice(index, 1)[0].remove();
+  }
+
+  function createTexture({ projectWidth, projectHeight }) {
+    return {
+      width: projectWidth,
+      height: projectHeight,
+      transparent: Boolean(behaviour.transparent),
+      destroyGC() { },
+    };
+  }
+
+  function fetchOk(url) {
+    return fetch(url).then((response) => {
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return response;
+    });
+  }
+}());
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const editorFolder = path.join(__dirname, '/fake-editor');
+const fixturesFolder = path.join(__dirname, '/fixtures');
+
+const contentTypes = {
+  '.html': 'text/html',
+  '.js': 'application/javascript',
+  '.bfd': 'application/octet-stream',
+};
+
+module.exports = { startFakeEditor, useTempFolders };
+
+/**
+ * Serve the fake editor (see fake-editor/editor.js) at / and the BFDs in
+ * fixtures/ at /bfds/, and point the settings at them. Settings are read when
+ * settings.js is first required, so call this before requiring anything else
+ * from the repo.
+ * @returns {Promise<{ getBfdUrl: function, close: function }>}
+ */
+async function startFakeEditor() {
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const filePath = pathname.startsWith('/bfds/')
+      ? path.join(fixturesFolder, path.basename(pathname))
+      : path.join(editorFolder, path.basename(pathname) || 'index.html');
+
+    fs.readFile(filePath, (err, contents) => {
+      if (err) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+      response.end(contents);
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const origin = `http://localhost:${server.address().port}`;
+  const removeTempFolders = useTempFolders();
+
+  Object.assign(process.env, {
+    BFD_DOMAIN: 'localhost',
+    BFD_CREATE_URL: `${origin}/`,
+    BFD_ALLOWED_HOSTS: 'localhost',
+    BFD_USE_GPU: 'false',
+    BFD_MAX_CHROME_INSTANCES: '1',
+    BFD_LOG_LEVEL: 'error',
+  });
+
+  return {
+    /**
+     * @param {string} fileName - e.g. template.bfd (see fixtures/)
+     * @returns {string}
+     */
+    getBfdUrl: fileName => `${origin}/bfds/${fileName}`,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      // Write the indexes now, rather than into the removed folder later
+      require('../json-store').flushJsonStores();
+      removeTempFolders();
+    },
+  };
+}
+
+/**
+ * Point the resultsFolder and logsFolder settings at a new temporary folder,
+ * so tests don't write to the repo's. Like startFakeEditor(), call this before
+ * requiring anything from the repo.
+ * @returns {function} Removes the folder
+ */
+function useTempFolders() {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bfd-tests-'));
+  Object.assign(process.env, {
+    BFD_RESULTS_FOLDER: path.join(folder, 'results'),
+    BFD_LOGS_FOLDER: path.join(folder, 'logs'),
+  });
+  return () => fs.rmSync(folder, { recursive: true, force: true });
+}
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const fs = require('fs');
+const { describe, it, after } = require('node:test');
+
+const { useTempFolders } = require('./helpers');
+
+const removeTempFolders = useTempFolders();
+process.env.BFD_DOMAIN = 'example.com';
+
+const { getResultsPath } = require('../settings');
+const { lockResultsFolder } = require('../results-lock');
+
+const lockPath = getResultsPath('.lock');
+fs.mkdirSync(getResultsPath(), { recursive: true });
+const writeLock = pid => fs.writeFileSync(lockPath, JSON.stringify({ pid, description: 'the server' }));
+
+describe('results-lock', () => {
+  after(removeTempFolders);
+
+  it('refuses the results folder while another process holds it', () => {
+    writeLock(process.ppid);
+    assert.throws(() => lockResultsFolder('a CLI run'), /is in use by the server \(process \d+\)/);
+  });
+
+  it('takes over locks left behind by processes that have exited', () => {
+    // Higher than any real process ID
+    writeLock(2 ** 22 + 1);
+    lockResultsFolder('a CLI run');
+    assert.strictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+    // Taking it again is fine
+    lockResultsFolder('a CLI run');
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { useTempFolders } = require('./helpers');
+
+const removeTempFolders = useTempFolders();
+Object.assign(process.env, {
+  BFD_DOMAIN: 'example.com',
+  BFD_THUMBNAIL_MAX_COUNT: '2',
+  BFD_LOG_MAX_AGE_DAYS: '30',
+  BFD_UPLOAD_MAX_AGE_DAYS: '7',
+  BFD_CHROME_CACHE_MAX_SIZE_MB: '0',
+});
+
+const { getResultsPath, getLogsPath } = require('../settings');
+const { getThumbnailStorage } = require('../thumbnail-storage');
+const { recordVersion, pinVersion, getVersions } = require('../thumbnail-versions');
+const { sweep, getStorageReport, deleteThumbnail } = require('../retention');
+
+const dayMs = 1000 * 60 * 60 * 24;
+const bfdUrl = 'https://example.com/template.bfd';
+
+// Write a file, last modified this many days ago
+function writeFile(filePath, ageDays) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, 'x');
+  const modifiedAt = new Date(Date.now() - ageDays * dayMs);
+  fs.utimesSync(filePath, modifiedAt, modifiedAt);
+}
+
+describe('retention', () => {
+  before(() => {
+    // Three versions of a BFD's thumbnails, the oldest of them pinned
+    [1, 2, 3].forEach((version) => {
+      const fileName = `template.bfd_thumb_v${version}.jpg`;
+      writeFile(getResultsPath('thumbnails', fileName), 4 - version);
+      recordVersion(bfdUrl, version, [{ name: 'default', url: getThumbnailStorage().getUrl(fileName), format: 'jpg' }]);
+    });
+    pinVersion(bfdUrl, 1);
+
+    writeFile(getLogsPath('oldjob.jsonl'), 40);
+    writeFile(getLogsPath('newjob.jsonl'), 1);
+    writeFile(getLogsPath('.placeholder'), 100);
+    writeFile(getResultsPath('uploads', 'abcdefgh-old.bfd'), 8);
+    writeFile(getResultsPath('uploads', 'abcdefgh-new.bfd'), 0);
+  });
+
+  after(removeTempFolders);
+
+  it("deletes files outside each area's policy, oldest first", async () => {
+    const { areas } = await sweep();
+    assert.deepStrictEqual(areas.thumbnails, { deletedCount: 1, deletedBytes: 1 });
+    assert.deepStrictEqual(areas.logs, { deletedCount: 1, deletedBytes: 1 });
+    assert.deepStrictEqual(areas.uploads, { deletedCount: 1, deletedBytes: 1 });
+
+    assert.deepStrictEqual(fs.readdirSync(getResultsPath('thumbnails')).sort(), ['template.bfd_thumb_v1.jpg', 'template.bfd_thumb_v3.jpg']);
+    assert.deepStrictEqual(fs.readdirSync(getLogsPath()).sort(), ['.placeholder', 'newjob.jsonl']);
+    assert.deepStrictEqual(fs.readdirSync(getResultsPath('uploads')), ['abcdefgh-new.bfd']);
+  });
+
+  it('keeps pinned thumbnails, and removes deleted ones from the manifest', () => {
+    const { pinnedVersion, versions } = getVersions(bfdUrl);
+    assert.strictEqual(pinnedVersion, 1);
+    assert.deepStrictEqual(versions.map(({ version }) => version), [3, 1]);
+  });
+
+  it('reports what each area holds, and what the last sweep deleted', async () => {
+    const { areas, lastSweep } = await getStorageReport();
+    assert.deepStrictEqual([areas.thumbnails.fileCount, areas.logs.fileCount, areas.uploads.fileCount], [2, 1, 1]);
+    assert.deepStrictEqual(areas.thumbnails.policy, { maxAgeDays: 0, maxCount: 2, maxSizeMB: 0 });
+    assert.strictEqual(lastSweep.areas.logs.deletedCount, 1);
+  });
+
+  it('deletes pinned thumbnails when asked to', async () => {
+    assert.strictEqual(await deleteThumbnail('template.bfd_thumb_v1.jpg'), true);
+    assert.strictEqual(await deleteThumbnail('template.bfd_thumb_v1.jpg'), false);
+    const { pinnedVersion, versions } = getVersions(bfdUrl);
+    assert.strictEqual(pinnedVersion, null);
+    assert.deepStrictEqual(versions.map(({ version }) => version), [3]);
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+// Settings are loaded when settings.js is first required, so load a fresh
+// copy with each set of environment variables
+function loadSettings(env) {
+  const savedEnv = process.env;
+  process.env = { ...savedEnv, BFD_DOMAIN: 'example.com', BFD_CREATE_URL: 'https://example.com/create/', ...env };
+  delete require.cache[require.resolve('../settings')];
+  try {
+    return require('../settings');
+  } finally {
+    process.env = savedEnv;
+  }
+}
+
+describe('settings', () => {
+  it('reads BFD_* environment variables as the type of each setting', () => {
+    const { settings } = loadSettings({
+      BFD_MAX_CHROME_INSTANCES: '5',
+      BFD_USE_GPU: 'false',
+      BFD_IS_DEBUG: '1',
+      BFD_LOG_LEVEL: 'debug',
+      BFD_API_KEYS: '[{"name":"web","key":"secret","dailyUrlQuota":100}]',
+    });
+    assert.strictEqual(settings.maxChromeInstances, 5);
+    assert.strictEqual(settings.useGPU, false);
+    assert.strictEqual(settings.isDebug, true);
+    assert.strictEqual(settings.logLevel, 'debug');
+    assert.deepStrictEqual(settings.apiKeys, [{ name: 'web', key: 'secret', dailyUrlQuota: 100 }]);
+    assert.ok(Object.isFrozen(settings));
+  });
+
+  it('reports every invalid setting at once', () => {
+    assert.throws(() => loadSettings({
+      BFD_DOMAIN: '',
+      BFD_MAX_CHROME_INSTANCES: 'lots',
+      BFD_PORT: '0',
+      BFD_LOG_LEVEL: 'loud',
+      BFD_SWAP_FONTS: 'maybe',
+    }), ({ message }) => [
+      'domain (BFD_DOMAIN) is required',
+      'maxChromeInstances (BFD_MAX_CHROME_INSTANCES) must be a whole number',
+      'port (BFD_PORT) must be at least 1',
+      'logLevel (BFD_LOG_LEVEL) must be one of',
+      'swapFonts (BFD_SWAP_FONTS) must be true or false',
+    ].every(problem => message.includes(problem)));
+  });
+
+  it('validates API keys', () => {
+    assert.throws(() => loadSettings({ BFD_API_KEYS: '[{"name":"web"}]' }), /apiKeys \(BFD_API_KEYS\) \[0\] key is required/);
+    assert.throws(() => loadSettings({ BFD_API_KEYS: '[{"name":"web","key":"a","admin":"yes"}]' }), /admin must be true or false/);
+    assert.throws(
+      () => loadSettings({ BFD_API_KEYS: '[{"name":"web","key":"a"},{"name":"web","key":"b"}]' }),
+      /must have unique names/,
+    );
+  });
+
+  it('resolves the results and logs folders relative to the repo', () => {
+    const repoFolder = path.join(__dirname, '..');
+    assert.strictEqual(loadSettings({}).getResultsPath('jobs.jsonl'), path.join(repoFolder, 'results', 'jobs.jsonl'));
+    assert.strictEqual(loadSettings({ BFD_LOGS_FOLDER: 'tmp/logs' }).getLogsPath('a.jsonl'), path.join(repoFolder, 'tmp', 'logs', 'a.jsonl'));
+    assert.strictEqual(loadSettings({ BFD_RESULTS_FOLDER: '/var/bfd' }).getResultsPath(), path.resolve('/var/bfd'));
+  });
+
+  it('describes the options callers can set with a JSON schema', () => {
+    const { getRequestOptionsSchema } = loadSettings({});
+    assert.deepStrictEqual(getRequestOptionsSchema().maxProjectAttempts, { type: 'integer', minimum: 1, maximum: 5 });
+    assert.deepStrictEqual(getRequestOptionsSchema().swapFonts, { type: 'boolean' });
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { describe, it, after } = require('node:test');
+
+const { useTempFolders } = require('./helpers');
+
+const removeTempFolders = useTempFolders();
+process.env.BFD_DOMAIN = 'example.com';
+
+const { indexText, searchText } = require('../text-index');
+const { flushJsonStores } = require('../json-store');
+
+const project = url => ({ thumbURL: `${url}_thumb.jpg`, thumbnails: [] });
+
+describe('text-index', () => {
+  after(() => {
+    flushJsonStores();
+    removeTempFolders();
+  });
+
+  indexText('https://example.com/party.bfd', 'Party time', project('party'));
+  indexText('https://example.com/birthday.bfd', 'Happy Birthday! Party, party party at 8', project('birthday'));
+  indexText('https://example.com/cafe.bfd', 'Café  Crème\nMenu', project('cafe'));
+  indexText('https://example.com/chinese.bfd', '生日快乐', project('chinese'));
+
+  it('finds BFDs containing every word, ignoring case, accents and whitespace', () => {
+    assert.deepStrictEqual(searchText('CAFE creme', 50).map(({ url }) => url), ['https://example.com/cafe.bfd']);
+    assert.deepStrictEqual(searchText('birthday  cake', 50), []);
+  });
+
+  it('returns the original text and thumbnail, most occurrences first', () => {
+    const matches = searchText('party', 50);
+    assert.deepStrictEqual(matches.map(({ url }) => url), ['https://example.com/birthday.bfd', 'https://example.com/party.bfd']);
+    assert.strictEqual(matches[1].text, 'Party time');
+    assert.strictEqual(matches[1].thumbURL, 'party_thumb.jpg');
+    assert.ok(matches[1].indexedAt);
+  });
+
+  it('matches parts of words, for scripts without spaces', () => {
+    assert.deepStrictEqual(searchText('快乐', 50).map(({ url }) => url), ['https://example.com/chinese.bfd']);
+  });
+
+  it('only returns visible BFDs, before limiting matches', () => {
+    const isVisible = url => url !== 'https://example.com/birthday.bfd';
+    assert.deepStrictEqual(searchText('party', 1, isVisible).map(({ url }) => url), ['https://example.com/party.bfd']);
+  });
+
+  it('replaces the text of a BFD that is indexed again, and limits matches', () => {
+    indexText('https://example.com/party.bfd', 'Birthday', project('party'));
+    assert.deepStrictEqual(searchText('party', 50).map(({ url }) => url), ['https://example.com/birthday.bfd']);
+    assert.strictEqual(searchText('birthday', 1).length, 1);
+    assert.deepStrictEqual(searchText('  ', 50), []);
+  });
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { describe, it, after } = require('node:test');
+
+const { useTempFolders } = require('./helpers');
+
+const removeTempFolders = useTempFolders();
+process.env.BFD_DOMAIN = 'example.com';
+
+const { getBfdFileName, getThumbnailFileName, getStoredFileName } = require('../lib');
+const { getNextVersion, recordVersion, getVersions, getCurrentThumbnailFile } = require('../thumbnail-versions');
+
+// Record a version with one default JPG, as extractData() would
+function generate(url, version = getNextVersion(url)) {
+  const fileName = getThumbnailFileName(url, 'jpg', undefined, version);
+  recordVersion(url, version, [{ name: 'default', url: `http://localhost/thumbnails/${fileName}`, format: 'jpg', width: 100, height: 100 }]);
+  return fileName;
+}
+
+describe('thumbnail versions', () => {
+  after(removeTempFolders);
+
+  it('numbers versions of a BFD from 1', () => {
+    const url = 'https://example.com/one/template.bfd';
+    assert.strictEqual(generate(url), 'template.bfd_thumb_v1.jpg');
+    assert.strictEqual(generate(url), 'template.bfd_thumb_v2.jpg');
+    assert.strictEqual(getVersions(url).currentVersion, 2);
+    assert.strictEqual(getCurrentThumbnailFile('template.bfd', 'default'), 'template.bfd_thumb_v2.jpg');
+  });
+
+  it("doesn't reuse file names for BFDs at different URLs with the same file name", () => {
+    const first = 'https://example.com/a/shared.bfd';
+    const second = 'https://example.com/b/shared.bfd';
+    const firstFile = generate(first);
+    const secondFile = generate(second);
+
+    assert.notStrictEqual(firstFile, secondFile);
+    assert.deepStrictEqual(getVersions(first).versions.map(({ version }) => version), [1]);
+    assert.deepStrictEqual(getVersions(second).versions.map(({ version }) => version), [2]);
+    assert.strictEqual(getCurrentThumbnailFile('shared.bfd', 'default'), secondFile);
+  });
+
+  it('moves a version passed explicitly from the URL whose files it overwrote', () => {
+    const first = 'https://example.com/a/explicit.bfd';
+    const second = 'https://example.com/b/explicit.bfd';
+    generate(first, 5);
+    generate(first, 6);
+    generate(second, 5);
+
+    assert.deepStrictEqual(getVersions(first).versions.map(({ version }) => version), [6]);
+    assert.deepStrictEqual(getVersions(second).versions.map(({ version }) => version), [5]);
+    assert.strictEqual(getNextVersion(second), 7);
+  });
+
+  it('uses the stored file name rather than the URL of a thumbnail', () => {
+    const url = 'https://example.com/a/my%20template.bfd';
+    const fileName = getThumbnailFileName(url, 'jpg', undefined, 1);
+    const encodedName = fileName.split('/').map(encodeURIComponent).join('/');
+    recordVersion(url, 1, [{ name: 'default', url: `https://bucket.s3.amazonaws.com/${encodedName}`, fileName, format: 'jpg', width: 100, height: 100 }]);
+
+    assert.strictEqual(getCurrentThumbnailFile(getBfdFileName(url), 'default'), fileName);
+    assert.strictEqual(getStoredFileName({ url: `https://bucket.s3.amazonaws.com/${encodedName}` }), fileName);
+  });
+});
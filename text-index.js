@@ -0,0 +1,52 @@
+const { createJsonStore } = require('./json-store');
+
+// Text of every extracted BFD, keyed by URL, so templates can be found by
+// their wording. Text is stored as is (Unicode), and normalized when searched.
+const index = createJsonStore('text-index.json', { description: 'text index', saveDelayMs: 1000 });
+
+module.exports = { indexText, searchText };
+
+/**
+ * Store (or replace) the text of a BFD
+ * @param {string} url
+ * @param {string} text - All labels, in their original Unicode
+ * @param {object} project - thumbURL & thumbnails are returned with matches
+ */
+function indexText(url, text, { thumbURL, thumbnails }) {
+  index.get()[url] = { text, thumbURL, thumbnails, indexedAt: new Date().toISOString() };
+  index.save();
+}
+
+/**
+ * Find BFDs containing every word of the query. Case, accents and repeated
+ * whitespace are ignored, and words don't need to be whole (so queries work
+ * for scripts without spaces, e.g. Chinese). Most occurrences first.
+ * @param {string} query
+ * @param {number} limit
+ * @param {function} [isVisible] - (url) => boolean, e.g. whether the API key searching can see the BFD
+ * @returns {{ url: string, text: string, thumbURL: string, thumbnails: object[], indexedAt: string }[]}
+ */
+function searchText(query, limit, isVisible = () => true) {
+  const terms = normalize(query).split(' ').filter(Boolean);
+  if (!terms.length) return [];
+
+  return Object.entries(index.get())
+    .map(([url, entry]) => {
+      const text = normalize(entry.text);
+      const counts = terms.map(term => text.split(term).length - 1);
+      return { url, ...entry, score: counts.every(Boolean) ? counts.reduce((sum, count) => sum + count, 0) : 0 };
+    })
+    .filter(({ url, score }) => score && isVisible(url))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, ...match }) => match);
+}
+
+function normalize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
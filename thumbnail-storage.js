@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+const { settings, getResultsPath } = require('./settings');
+
+// Where thumbnails are kept. Each backend has the same methods, all async
+// apart from getUrl():
+//  save(fileName, filePath) - Copy a file into storage, returns its URL
+//  exists(fileName)
+//  delete(fileName) - Doesn't fail if the file is already gone
+//  list() - Every file, as { name, size, modifiedAt }
+//  getUrl(fileName) - Where the file lives, returned to callers as thumbURL
+//  getDownloadUrl(fileName) - Where /thumbnails/ redirects to (local: none)
+const localFolder = getResultsPath('thumbnails');
+
+const contentTypes = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+// How long redirects from /thumbnails/ to private S3 objects work for
+const signedUrlExpirySeconds = 60 * 60;
+
+let storage = null;
+
+module.exports = { getThumbnailStorage, createLocalStorage, createS3Storage };
+
+/**
+ * The storage configured by the thumbnailStorage setting
+ * @returns {object}
+ */
+function getThumbnailStorage() {
+  if (!storage) {
+    storage = settings.thumbnailStorage === 's3'
+      ? createS3Storage({
+        bucket: settings.s3Bucket,
+        prefix: settings.s3Prefix,
+        region: settings.s3Region,
+        endpoint: settings.s3Endpoint,
+        forcePathStyle: settings.s3ForcePathStyle,
+        accessKeyId: settings.s3AccessKeyId,
+        secretAccessKey: settings.s3SecretAccessKey,
+        publicUrl: settings.s3PublicUrl,
+      })
+      : createLocalStorage({ folder: localFolder });
+  }
+  return storage;
+}
+
+/**
+ * Thumbnails on the server's disk, served by the /thumbnails/ route
+ * @param {object} options
+ * @param {string} options.folder
+ * @returns {object}
+ */
+function createLocalStorage({ folder }) {
+  const getPath = fileName => path.join(folder, path.basename(fileName));
+  fs.mkdirSync(folder, { recursive: true });
+
+  return {
+    isLocal: true,
+    folder,
+
+    async save(fileName, filePath) {
+      await fs.promises.copyFile(filePath, getPath(fileName));
+      return this.getUrl(fileName);
+    },
+
+    async exists(fileName) {
+      return fs.promises.access(getPath(fileName)).then(() => true, () => false);
+    },
+
+    async delete(fileName) {
+      await fs.promises.unlink(getPath(fileName)).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    async list() {
+      const fileNames = (await fs.promises.readdir(folder)).filter(fileName => !fileName.startsWith('.'));
+      const files = await Promise.all(fileNames.map(async (name) => {
+        const stats = await fs.promises.stat(getPath(name)).catch(() => null);
+        return stats && stats.isFile() && { name, size: stats.size, modifiedAt: stats.mtime };
+      }));
+      return files.filter(Boolean);
+    },
+
+    getUrl(fileName) {
+      return `/thumbnails/${fileName}`;
+    },
+
+    async getDownloadUrl() {
+      return null;
+    },
+  };
+}
+
+/**
+ * Thumbnails in an S3 bucket, or anything that speaks the S3 API (e.g. MinIO,
+ * with endpoint set to it and forcePathStyle)
+ * @param {object} options
+ * @param {string} options.bucket
+ * @param {string} [options.prefix] - Prepended to file names, e.g. thumbnails/
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] - Instead of AWS, e.g. http://localhost:9000
+ * @param {boolean} [options.forcePathStyle] - Bucket in the URL's path rather than its host name
+ * @param {string} [options.accessKeyId] - Otherwise AWS's usual credentials are used (environment, profile or role)
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.publicUrl] - Where the bucket is publicly readable, e.g. a CDN. Otherwise
+ *   thumbURLs point at the bucket itself, and /thumbnails/ redirects to signed URLs
+ * @returns {object}
+ */
+function createS3Storage({
+  bucket, prefix = '', region, endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, publicUrl,
+}) {
+  // Only needed with this backend
+  const S3 = require('aws-sdk/clients/s3');
+
+  const s3 = new S3({
+    region: region || undefined,
+    endpoint: endpoint || undefined,
+    s3ForcePathStyle: forcePathStyle,
+    signatureVersion: 'v4',
+    ...(accessKeyId && { accessKeyId, secretAccessKey }),
+  });
+
+  const getKey = fileName => prefix + path.basename(fileName);
+  const encodeKey = key => key.split('/').map(encodeURIComponent).join('/');
+
+  // Where objects in the bucket live, e.g. https://bucket.s3.amazonaws.com/
+  const bucketUrl = publicUrl
+    ? publicUrl.replace(/\/?$/, '/')
+    : forcePathStyle
+      ? `${s3.endpoint.href.replace(/\/?$/, '/')}${bucket}/`
+      : `${s3.endpoint.protocol}//${bucket}.${s3.endpoint.host}/`;
+
+  return {
+    isLocal: false,
+    bucket,
+
+    async save(fileName, filePath) {
+      const extension = path.extname(fileName).slice(1);
+      await s3.upload({
+        Bucket: bucket,
+        Key: getKey(fileName),
+        Body: fs.createReadStream(filePath),
+        ContentType: contentTypes[extension] || 'application/octet-stream',
+      }).promise();
+      return this.getUrl(fileName);
+    },
+
+    async exists(fileName) {
+      return s3.headObject({ Bucket: bucket, Key: getKey(fileName) }).promise()
+        .then(() => true, (err) => {
+          if (err.statusCode === 404 || ['NotFound', 'NoSuchKey'].includes(err.code)) return false;
+          // S3 also answers 403 for missing objects without s3:ListBucket
+          // permission, but HEAD responses can't say which it is, so a 403
+          // could as well be bad credentials or a bucket policy
+          if (err.statusCode === 403) {
+            err.message = `Access denied to ${getKey(fileName)} in ${bucket}. Check the credentials and bucket policy`
+              + ' (which needs s3:ListBucket for missing thumbnails to be reported as missing)';
+          }
+          throw err;
+        });
+    },
+
+    async delete(fileName) {
+      // Succeeds whether or not the object exists
+      await s3.deleteObject({ Bucket: bucket, Key: getKey(fileName) }).promise();
+    },
+
+    async list() {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await s3.listObjectsV2({ Bucket: bucket, Prefix: prefix, ContinuationToken }).promise();
+        page.Contents
+          .map(({ Key, Size, LastModified }) => ({ name: Key.slice(prefix.length), size: Size, modifiedAt: LastModified }))
+          .filter(({ name }) => name && !name.includes('/'))
+          .forEach(file => files.push(file));
+        ContinuationToken = page.NextContinuationToken;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    getUrl(fileName) {
+      return bucketUrl + encodeKey(getKey(fileName));
+    },
+
+    async getDownloadUrl(fileName) {
+      if (publicUrl) return this.getUrl(fileName);
+      return s3.getSignedUrlPromise('getObject', {
+        Bucket: bucket,
+        Key: getKey(fileName),
+        Expires: signedUrlExpirySeconds,
+      });
+    },
+  };
+}
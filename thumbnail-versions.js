@@ -0,0 +1,190 @@
+const { settings } = require('./settings');
+const { getThumbnailStorage } = require('./thumbnail-storage');
+const { getBfdFileName, getStoredFileName } = require('./lib');
+const { createJsonStore } = require('./json-store');
+const { logger } = require('./logger');
+
+// Each time a BFD's thumbnails are generated they're saved as a new version
+// (e.g. template.bfd_thumb_v3_240.jpg), so URLs handed out earlier keep
+// working until the version is cleaned up. The manifest lists the versions of
+// each BFD, by URL, and which is current: the latest, unless one is pinned.
+// Files are named after the BFD's file name rather than its whole URL, so
+// BFDs at different URLs with the same file name (e.g. a/t.bfd and b/t.bfd)
+// share one sequence of versions, and never overwrite each other's files.
+const manifest = createJsonStore('thumbnail-manifest.json', { description: 'thumbnail manifest' });
+
+module.exports = {
+  getNextVersion, recordVersion, getVersions, pinVersion, unpinVersion, getCurrentThumbnailFile,
+  getPinnedFiles, forgetFiles,
+};
+
+/**
+ * Version to save a BFD's next thumbnails as
+ * @param {string} url
+ * @returns {number}
+ */
+function getNextVersion(url) {
+  const versions = getEntriesByFileName(getBfdFileName(url))
+    .flatMap(([, entry]) => Object.keys(entry.versions).map(Number));
+  return versions.length ? Math.max(...versions) + 1 : 1;
+}
+
+/**
+ * Add (or replace) a version of a BFD's thumbnails, and delete the files of
+ * any that have been superseded: files of this version that weren't
+ * regenerated (e.g. a JPG that's now a PNG), and versions older than the last
+ * keepThumbnailVersions (other than the pinned version)
+ * @param {string} url
+ * @param {number} version
+ * @param {{ name: string, url: string, format: string, width: number, height: number }[]} thumbnails
+ */
+function recordVersion(url, version, thumbnails) {
+  const entry = manifest.get()[url] || { pinnedVersion: null, versions: {} };
+  manifest.get()[url] = entry;
+
+  const previousFiles = entry.versions[version] ? getFileNames(entry.versions[version]) : [];
+  entry.versions[version] = { createdAt: new Date().toISOString(), thumbnails };
+  const keptFiles = getFileNames(entry.versions[version]);
+  const staleFiles = previousFiles.filter(fileName => !keptFiles.includes(fileName));
+
+  // Another URL's files of this version (only possible when the version was
+  // passed explicitly) have just been overwritten, so it no longer has them
+  getEntriesByFileName(getBfdFileName(url))
+    .filter(([otherUrl, otherEntry]) => otherUrl !== url && otherEntry.versions[version])
+    .forEach(([otherUrl, otherEntry]) => {
+      delete otherEntry.versions[version];
+      if (otherEntry.pinnedVersion === version) otherEntry.pinnedVersion = null;
+      if (!Object.keys(otherEntry.versions).length) delete manifest.get()[otherUrl];
+    });
+
+  const versions = Object.keys(entry.versions).map(Number).sort((a, b) => b - a);
+  versions
+    .slice(settings.keepThumbnailVersions)
+    .filter(oldVersion => oldVersion !== entry.pinnedVersion && oldVersion !== version)
+    .forEach((oldVersion) => {
+      staleFiles.push(...getFileNames(entry.versions[oldVersion]));
+      delete entry.versions[oldVersion];
+    });
+
+  staleFiles.forEach((fileName) => {
+    getThumbnailStorage().delete(fileName).catch((err) => {
+      logger.error({ err, fileName }, 'Unable to delete old thumbnail');
+    });
+  });
+  manifest.save();
+}
+
+/**
+ * @param {string} url
+ * @returns {{ currentVersion: number, pinnedVersion: number|null, versions: object[] }|undefined}
+ */
+function getVersions(url) {
+  const entry = manifest.get()[url];
+  if (!entry) return;
+  return {
+    currentVersion: getCurrentVersion(entry),
+    pinnedVersion: entry.pinnedVersion,
+    versions: Object.entries(entry.versions)
+      .map(([version, details]) => ({ version: Number(version), ...details }))
+      .sort((a, b) => b.version - a.version),
+  };
+}
+
+/**
+ * Serve a version as current, rather than the latest (e.g. to roll back)
+ * @param {string} url
+ * @param {number} version
+ * @returns {boolean} Whether the version exists
+ */
+function pinVersion(url, version) {
+  const entry = manifest.get()[url];
+  if (!entry || !entry.versions[version]) return false;
+  entry.pinnedVersion = version;
+  manifest.save();
+  return true;
+}
+
+/**
+ * Serve the latest version as current again
+ * @param {string} url
+ * @returns {boolean} Whether the BFD has any versions
+ */
+function unpinVersion(url) {
+  const entry = manifest.get()[url];
+  if (!entry) return false;
+  entry.pinnedVersion = null;
+  manifest.save();
+  return true;
+}
+
+/**
+ * Get the file of the current version of a thumbnail, whatever its format
+ * @param {string} bfdFileName - e.g. template.bfd
+ * @param {string} renditionName - e.g. 240-square, or default
+ * @returns {string|undefined} File name
+ */
+function getCurrentThumbnailFile(bfdFileName, renditionName) {
+  // Thumbnails are named after the BFD's file name, not its whole URL, so
+  // this is the most recently generated of the BFDs with that file name
+  const entries = getEntriesByFileName(bfdFileName)
+    .map(([, entry]) => entry.versions[getCurrentVersion(entry)]);
+  const latest = entries.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))[0];
+  if (!latest) return;
+
+  const thumbnail = latest.thumbnails.find(({ name }) => name === renditionName);
+  return thumbnail && getStoredFileName(thumbnail);
+}
+
+/**
+ * Files of pinned versions, which retention policies leave alone
+ * @returns {Set<string>} File names
+ */
+function getPinnedFiles() {
+  const fileNames = new Set();
+  Object.values(manifest.get())
+    .filter(({ pinnedVersion, versions }) => pinnedVersion && versions[pinnedVersion])
+    .forEach(({ pinnedVersion, versions }) => {
+      getFileNames(versions[pinnedVersion]).forEach(fileName => fileNames.add(fileName));
+    });
+  return fileNames;
+}
+
+/**
+ * Remove deleted files from the manifest, along with versions that no longer
+ * have any files (unpinning them if they were pinned)
+ * @param {string[]} deletedFileNames
+ */
+function forgetFiles(deletedFileNames) {
+  const deleted = new Set(deletedFileNames);
+  let changed = false;
+  Object.entries(manifest.get()).forEach(([url, entry]) => {
+    Object.entries(entry.versions).forEach(([version, details]) => {
+      const thumbnails = details.thumbnails.filter(thumbnail => !deleted.has(getStoredFileName(thumbnail)));
+      if (thumbnails.length === details.thumbnails.length) return;
+
+      changed = true;
+      if (thumbnails.length) {
+        details.thumbnails = thumbnails;
+        return;
+      }
+      delete entry.versions[version];
+      if (entry.pinnedVersion === Number(version)) entry.pinnedVersion = null;
+    });
+    if (!Object.keys(entry.versions).length) delete manifest.get()[url];
+  });
+  if (changed) manifest.save();
+}
+
+// [url, entry] of every BFD with this file name, e.g. template.bfd
+function getEntriesByFileName(bfdFileName) {
+  return Object.entries(manifest.get()).filter(([url]) => getBfdFileName(url) === bfdFileName);
+}
+
+function getCurrentVersion(entry) {
+  if (entry.pinnedVersion && entry.versions[entry.pinnedVersion]) return entry.pinnedVersion;
+  return Math.max(...Object.keys(entry.versions).map(Number));
+}
+
+function getFileNames({ thumbnails }) {
+  return thumbnails.map(getStoredFileName);
+}
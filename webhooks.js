@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const { settings } = require('./settings');
+const { logger } = require('./logger');
+
+const maxAttempts = 6;
+const initialRetryDelayMs = 1000; // Doubles after each failed attempt
+const requestTimeoutMs = 1000 * 30;
+
+// Loopback, private, link-local etc. addresses, which callbacks can't be sent
+// to (unless allowPrivateCallbacks is set), so that callers can't use them to
+// reach services on the server's network
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+module.exports = { sendWebhook, canSendWebhooks, checkCallbackUrl };
+
+function canSendWebhooks() {
+  return Boolean(settings.webhookSecret);
+}
+
+/**
+ * Check that webhooks can be sent to a callback URL. Host names are only
+ * resolved when sending, so they're checked again then
+ * @param {string} callbackUrl
+ * @returns {string|undefined} Why it can't be used, if it can't
+ */
+function checkCallbackUrl(callbackUrl) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (err) {
+    return 'callbackUrl is not a valid URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'callbackUrl must be an http or https URL';
+  if (settings.allowPrivateCallbacks) return;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+    return 'callbackUrl can\'t be a loopback or private network address';
+  }
+}
+
+/**
+ * POST a JSON payload to a callback URL, signed with the webhook secret so the
+ * receiver can verify that it came from us. Retries with exponential backoff.
+ * @param {string} callbackUrl
+ * @param {string} event - e.g. job.finished
+ * @param {object} payload
+ * @returns {Promise<boolean>} Whether the webhook was delivered
+ */
+async function sendWebhook(callbackUrl, event, payload) {
+  const body = JSON.stringify({ event, ...payload });
+  const signature = crypto.createHmac('sha256', settings.webhookSecret).update(body).digest('hex');
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'X-BFD-Event': event,
+    'X-BFD-Signature': `sha256=${signature}`,
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      await post(callbackUrl, headers, body);
+      return true;
+    } catch (err) {
+      logger.warn(
+        { jobID: payload.jobID, stage: 'webhook', callbackUrl },
+        `Webhook ${event} failed (attempt ${attempt} / ${maxAttempts}): ${err.message}`,
+      );
+      if (attempt < maxAttempts) await wait(initialRetryDelayMs * 2 ** (attempt - 1));
+    }
+  }
+  return false;
+}
+
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const problem = checkCallbackUrl(url);
+    if (problem) {
+      reject(new Error(problem));
+      return;
+    }
+
+    const { request } = url.startsWith('https:') ? https : http;
+    const req = request(url, { method: 'POST', headers, timeout: requestTimeoutMs, lookup }, (res) => {
+      // Drain response, we only care about the status code
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) return resolve();
+      reject(new Error(`HTTP ${res.statusCode}`));
+    });
+    req.on('timeout', () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// dns.lookup(), refusing private addresses (see checkCallbackUrl())
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || settings.allowPrivateCallbacks) return callback(err, address, family);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new Error(`${hostname} resolves to a loopback or private network address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+function isPrivateAddress(address) {
+  // IPv4 addresses mapped to IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateAddresses.check(mapped[1], 'ipv4');
+  return privateAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}